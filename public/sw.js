@@ -0,0 +1,60 @@
+// --- SERVICE WORKER ---
+// Guarda el "app shell" para abrir la app sin conexión. Los datos de las partidas no pasan por
+// aquí: los cachea Firestore y las marcas pendientes van en la cola de la app (src/offline.js).
+// sw-assets.js lo genera el build (ver vite.config.js) con los ficheros de /assets de esa versión,
+// así que todo se guarda al instalar, ya en la primera visita. Cada build usa su propia caché.
+// Subir CACHE_VERSION al cambiar este fichero borra también las cachés anteriores.
+
+self.importScripts('/sw-assets.js');
+
+const CACHE_VERSION = 'v2';
+const CACHE = `bingo-shell-${CACHE_VERSION}-${self.BUILD_ID}`;
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll([...SHELL, ...self.BUILD_ASSETS])).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('bingo-shell-') && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Firestore, Auth y demás servicios externos gestionan su propia conexión
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Navegación: primero la red (para recibir versiones nuevas); sin red, el index.html guardado.
+  // Todas las rutas (/g/:id, /new...) las resuelve el router de la app.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          // Una página de error no sustituye al index.html bueno
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE).then(cache => cache.put('/index.html', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Recursos estáticos: los de /assets llevan hash en el nombre, así que la caché nunca queda vieja
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
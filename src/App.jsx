@@ -1,226 +1,558 @@
-import React, { useState, useEffect } from 'react';
-import { initializeApp } from 'firebase/app';
-import { 
-  getAuth, 
-  signInAnonymously, 
-  onAuthStateChanged,
-  signInWithCustomToken
-} from 'firebase/auth';
-import { 
-  getFirestore, 
-  collection, 
-  doc, 
-  setDoc, 
-  getDoc, 
-  updateDoc,
-  increment,
-  onSnapshot, 
-  query, 
-  orderBy,
-  limit,
-  serverTimestamp 
-} from 'firebase/firestore';
-import { Users, CheckSquare, Edit2, AlertCircle, Copy, Bug, Link as LinkIcon } from 'lucide-react';
-
-// --- CONFIGURATION & UTILS ---
-
-const getFirebaseConfig = () => {
-  try {
-    if (import.meta.env && import.meta.env.VITE_FIREBASE_API_KEY) {
-      return {
-        apiKey: import.meta.env.VITE_FIREBASE_API_KEY.trim(),
-        authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN?.trim(),
-        projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID?.trim(),
-        storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET?.trim(),
-        messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID?.trim(),
-        appId: import.meta.env.VITE_FIREBASE_APP_ID?.trim()
-      };
-    }
-  } catch (e) {}
-  return JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
+import { Users, Repeat, MessageCircle, CheckSquare, Edit2, AlertCircle, Copy, Bug, Link as LinkIcon, Trophy, Crown, Lock, Unlock, Pause, Play, Flag, RotateCcw, X, Check, Clock, AlertTriangle, Monitor, Search, KeyRound, ImageDown, FileDown, Printer, Timer, CalendarClock, Wifi, WifiOff, RefreshCw, CloudUpload } from 'lucide-react';
+import {
+  WIN_PATTERNS,
+  DEFAULT_WIN_PATTERNS,
+  BOARD_PRESETS,
+  MIN_SIDE,
+  MAX_SIDE,
+  findWinningLine,
+  buildLayout,
+  createRandom,
+  hashSeed,
+  getPlayerLayout,
+  getBoard,
+  getFreeIndex,
+  getItemLimits,
+  countItems,
+  GAME_STATUS,
+  getGameStatus,
+  getGameStatuses,
+  isJoinLocked,
+  isMarkingPaused,
+  canJoin,
+  canMark,
+  MARK_STATE,
+  getMarkState,
+  getCountedIndices,
+  VISIBILITY,
+  getVisibility,
+  createJoinCode,
+  normalizeJoinCode,
+  needsJoinCode,
+  matchesBrowse,
+  SCORING,
+  getScoring,
+  getItemCounts,
+  getItemValue,
+  getStandings,
+  freezeStandings,
+  getSchedule,
+  getPhase,
+  formatClock,
+  getTeams,
+  getTeam,
+  buildTeams,
+  pickTeam,
+  canChangeTeam,
+  getTeamIndices,
+  getWinIndices,
+  groupByTeam
+} from './bingo';
+import { backend } from './backends';
+import { gridColumns, MINI_MARK_COLORS } from './ui';
+import MiniGrid from './components/MiniGrid';
+import ActivityFeed from './components/ActivityFeed';
+import ReplayPanel from './components/ReplayPanel';
+import TemplateBar from './components/TemplateBar';
+import { readTemplateLink } from './templates';
+import { parseLocation, buildPath, gameUrl, readJoinCode } from './router';
+import ChatPanel from './components/ChatPanel';
+import ProfileCard from './components/ProfileCard';
+import Leaderboard from './components/Leaderboard';
+import ResultsSummary from './components/ResultsSummary';
+import HistoryPage from './components/HistoryPage';
+import { buildHistoryEntry } from './history';
+import { MAX_PRINT_CARDS, downloadCardPng, downloadCardsPdf, buildPrintLayouts } from './print';
+import SpectatorScreen from './components/SpectatorScreen';
+import { useNow, useOnline } from './hooks';
+import { HEARTBEAT_MS, IDLE_AFTER_MS, OFFLINE_AFTER_MS, PRESENCE, getPresence, isPresent } from './presence';
+import { ReactionBar } from './components/Reactions';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import { t, getLocale, setLocale, formatTime } from './i18n';
+import { CONNECTION, loadOutbox, queueChange, dropChange, applyQueued, getUnsyncedIndices, hasUnsyncedName, getConnection, rememberLastGame, getLastGame } from './offline';
+
+// --- GENERADORES ---
+// Las listas de palabras y el orden en que se juntan vienen del catálogo del idioma actual
+const pickWord = (list) => list[Math.floor(Math.random() * list.length)];
+
+const generateFunnyName = () => t('names.format', {
+  color: pickWord(t('names.colors')),
+  adjective: pickWord(t('names.adjectives')),
+  noun: pickWord(t('names.nouns')),
+  number: Math.floor(Math.random() * 99) + 1
+});
+
+// Cartón propio de un jugador: semilla derivada de partida + uid, reproducible en cualquier cliente
+const createPlayerCard = (items, board, gameId, uid) => {
+  const seed = hashSeed(`${gameId}:${uid}`);
+  return { seed, layout: buildLayout(items, board, createRandom(seed)) };
 };
 
-const getAppId = () => {
-  try {
-    if (import.meta.env && import.meta.env.VITE_APP_ID) {
-      return import.meta.env.VITE_APP_ID.trim();
-    }
-  } catch (e) {}
-  return typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+// Colores de celda del tablero principal según el estado de la marca
+const CELL_STYLES = {
+  empty: { color: 'bg-white hover:bg-slate-50 text-slate-700' },
+  pending: { color: 'bg-sky-50 text-sky-900', icon: Clock },
+  confirmed: { color: 'bg-emerald-50 text-emerald-900', icon: CheckSquare },
+  disputed: { color: 'bg-red-50 text-red-900', icon: AlertTriangle },
+  winning: { color: 'bg-amber-100 text-amber-900 ring-2 ring-inset ring-amber-400', icon: CheckSquare },
 };
 
-const firebaseConfig = getFirebaseConfig();
-const isConfigValid = firebaseConfig && firebaseConfig.apiKey && firebaseConfig.authDomain;
+// --- COMPONENTES ---
 
-const app = isConfigValid ? initializeApp(firebaseConfig) : null;
-const auth = app ? getAuth(app) : null;
-const db = app ? getFirestore(app) : null;
-const appId = getAppId();
+// Marcas sin confirmar de otro jugador, con los botones para votarlas como testigo
+const WitnessList = ({ layout, participant, game, myUid, canVote, onVote }) => {
+  const open = (participant.checkedIndices || []).filter(i => getMarkState(game, participant, i) !== 'confirmed');
+  if (open.length === 0) return null;
+  return (
+    <ul className="mt-2 space-y-1">
+      {open.map(idx => {
+        const state = getMarkState(game, participant, idx);
+        const { confirmedBy = [], disputedBy = [] } = participant.marks?.[idx] || {};
+        const mine = participant.userId === myUid;
+        const voteBtn = 'p-0.5 rounded border-0 disabled:opacity-40';
+        return (
+          <li key={idx} className="flex items-center gap-1 text-[11px]">
+            <span className={`w-2 h-2 rounded-full flex-shrink-0 ${MINI_MARK_COLORS[state]}`} title={t(MARK_STATE[state])} />
+            <span className="truncate flex-1 text-slate-600" title={layout[idx]}>{layout[idx]}</span>
+            <span className="text-slate-400 flex-shrink-0">{confirmedBy.length}/{game.witnessesRequired}</span>
+            {!mine && (
+              <>
+                <button disabled={!canVote} onClick={() => onVote(participant, idx, 'confirm')} title={t('witness.confirm')} className={`${voteBtn} ${confirmedBy.includes(myUid) ? 'bg-green-500 text-white' : 'bg-slate-100 text-green-600 hover:bg-green-100'}`}><Check size={12} /></button>
+                <button disabled={!canVote} onClick={() => onVote(participant, idx, 'dispute')} title={t('witness.dispute')} className={`${voteBtn} ${disputedBy.includes(myUid) ? 'bg-red-500 text-white' : 'bg-slate-100 text-red-500 hover:bg-red-100'}`}><X size={12} /></button>
+              </>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
 
+const PRESENCE_STYLES = {
+  online: 'bg-emerald-500',
+  idle: 'bg-amber-400',
+  offline: 'bg-slate-300',
+};
 
-// --- GENERADORES ---
-const ADJECTIVES = ['Funky', 'Grumpy', 'Cheeky', 'Sleepy', 'Hyper', 'Happy', 'Salty', 'Spicy', 'Lucky', 'Dizzy'];
-const COLORS = ['Red', 'Blue', 'Pink', 'Neon', 'Lime', 'Cosmic', 'Rusty', 'Golden', 'Silver', 'Violet'];
-const NOUNS = ['Badger', 'Cactus', 'Taco', 'Ninja', 'Panda', 'Toaster', 'Pickle', 'Muffin', 'Wizard', 'Goose'];
-
-const generateFunnyName = () => {
-  const col = COLORS[Math.floor(Math.random() * COLORS.length)];
-  const adj = ADJECTIVES[Math.floor(Math.random() * ADJECTIVES.length)];
-  const noun = NOUNS[Math.floor(Math.random() * NOUNS.length)];
-  const num = Math.floor(Math.random() * 99) + 1;
-  return `${col}-${adj}-${noun}-${num}`;
+const PresenceDot = ({ presence }) => (
+  <span title={t(PRESENCE[presence])} className={`w-2 h-2 rounded-full flex-shrink-0 ${PRESENCE_STYLES[presence]}`} />
+);
+
+const STATUS_STYLES = {
+  open: 'bg-emerald-100 text-emerald-700',
+  locked: 'bg-amber-100 text-amber-700',
+  paused: 'bg-sky-100 text-sky-700',
+  finished: 'bg-slate-200 text-slate-600',
 };
 
-const COLS = 6;
-const ROWS = 4;
-const TOTAL_CELLS = COLS * ROWS;
+const StatusBadge = ({ status }) => (
+  <span className={`text-[10px] font-bold uppercase tracking-wide px-2 py-0.5 rounded-full ${STATUS_STYLES[status]}`}>{t(GAME_STATUS[status])}</span>
+);
 
-// --- COMPONENTES ---
+const CONNECTION_STYLES = {
+  online: { color: 'bg-emerald-100 text-emerald-700', icon: Wifi },
+  offline: { color: 'bg-red-100 text-red-700', icon: WifiOff },
+  syncing: { color: 'bg-sky-100 text-sky-700', icon: RefreshCw },
+};
+
+const ConnectionBadge = ({ connection }) => {
+  const { color, icon: ConnectionIcon } = CONNECTION_STYLES[connection];
+  return <span className={`text-[10px] font-bold uppercase tracking-wide px-2 py-0.5 rounded-full flex items-center gap-1 ${color}`}><ConnectionIcon size={10} className={connection === 'syncing' ? 'animate-spin' : ''} /> {t(CONNECTION[connection])}</span>;
+};
 
-const MiniGrid = ({ layout, checkedIndices, className = "" }) => {
+// Cerrar entradas y pausar marcas son independientes: cada botón cambia solo lo suyo
+const HostPanel = ({ finished, joinsLocked, markingPaused, joinCode, onSetStatus, onSetControls, onReset, onPrint }) => {
+  const btn = 'flex items-center gap-1 bg-white text-xs font-semibold px-3 py-1.5 rounded-lg border transition disabled:opacity-40 disabled:cursor-not-allowed';
   return (
-    <div className={`grid grid-cols-6 gap-[1px] bg-gray-300 border border-gray-300 ${className}`}>
-      {layout.map((cell, idx) => {
-        const isChecked = checkedIndices.includes(idx);
-        const isEmpty = cell === null;
-        let bgColor = 'bg-white';
-        if (isEmpty) bgColor = 'bg-gray-200';
-        if (isChecked) bgColor = 'bg-green-500';
-        return <div key={idx} className={`${bgColor} w-full h-full`} />;
-      })}
+    <div className="bg-white rounded-xl shadow-sm border border-indigo-100 p-3 mb-4 flex flex-wrap items-center gap-2">
+      <span className="text-xs font-bold text-indigo-600 uppercase tracking-wide flex items-center gap-1 mr-2"><Crown size={14} /> {t('host.title')}</span>
+      {joinsLocked
+        ? <button className={`${btn} border-slate-200 text-slate-600 hover:bg-slate-50`} disabled={finished} onClick={() => onSetControls({ joinsLocked: false })}><Unlock size={14} /> {t('host.unlock')}</button>
+        : <button className={`${btn} border-slate-200 text-slate-600 hover:bg-slate-50`} disabled={finished} onClick={() => onSetControls({ joinsLocked: true })}><Lock size={14} /> {t('host.lock')}</button>}
+      {markingPaused
+        ? <button className={`${btn} border-slate-200 text-slate-600 hover:bg-slate-50`} disabled={finished} onClick={() => onSetControls({ markingPaused: false })}><Play size={14} /> {t('host.resume')}</button>
+        : <button className={`${btn} border-slate-200 text-slate-600 hover:bg-slate-50`} disabled={finished} onClick={() => onSetControls({ markingPaused: true })}><Pause size={14} /> {t('host.pause')}</button>}
+      <button className={`${btn} border-slate-200 text-slate-600 hover:bg-slate-50`} onClick={onReset}><RotateCcw size={14} /> {t('host.reset')}</button>
+      <button className={`${btn} border-slate-200 text-slate-600 hover:bg-slate-50`} onClick={onPrint}><Printer size={14} /> {t('host.print')}</button>
+      {finished
+        ? <button className={`${btn} border-emerald-200 text-emerald-700 hover:bg-emerald-50`} onClick={() => onSetStatus('open')}><Play size={14} /> {t('host.reopen')}</button>
+        : <button className={`${btn} border-red-200 text-red-600 hover:bg-red-50`} onClick={() => window.confirm(t('host.confirmEnd')) && onSetStatus('finished')}><Flag size={14} /> {t('host.end')}</button>}
+      {joinCode && <span className="ml-auto flex items-center gap-1 text-xs text-slate-500"><KeyRound size={14} /> {t('host.joinCode')} <span className="font-mono font-bold text-slate-800 tracking-widest">{joinCode}</span></span>}
     </div>
   );
 };
 
+const BROWSE_PAGE_SIZE = 6;
+
+// Lista vacía compartida para que los valores derivados no cambien de identidad en cada render
+const NONE = [];
+
+// Los enlaces de plantilla sin ruta (`/?items=`) también abren la vista de creación
+const getInitialRoute = () => {
+  const route = parseLocation(window.location);
+  if (route.view === 'home' && readTemplateLink(window.location.search)) return { ...route, view: 'create' };
+  return route;
+};
+
 export default function SocialBingoApp() {
   const [user, setUser] = useState(null);
-  const [view, setView] = useState('home');
-  const [gameId, setGameId] = useState('');
+  const [locale, setLocaleState] = useState(getLocale);
+  const [view, setView] = useState(() => getInitialRoute().view);
+  const [gameId, setGameId] = useState(() => getInitialRoute().gameId);
+  const [gameIdInput, setGameIdInput] = useState('');
   const [recentGames, setRecentGames] = useState([]);
-  const [inputList, setInputList] = useState('');
+  const [browseCursor, setBrowseCursor] = useState(null);
+  const [browseSearch, setBrowseSearch] = useState('');
+  const [browseMine, setBrowseMine] = useState(false);
+  const [inputList, setInputList] = useState(() => readTemplateLink(window.location.search)?.items.join('\n') || '');
+  const [templateName, setTemplateName] = useState(() => readTemplateLink(window.location.search)?.name || '');
+  const [winPatterns, setWinPatterns] = useState(DEFAULT_WIN_PATTERNS);
+  const [uniqueCards, setUniqueCards] = useState(false);
+  const [witnessesRequired, setWitnessesRequired] = useState(0);
+  const [visibility, setVisibility] = useState('public');
+  const [scoring, setScoring] = useState('count');
+  const [isExporting, setIsExporting] = useState(false);
+  const [startAt, setStartAt] = useState('');
+  const [endMode, setEndMode] = useState('none');
+  const [durationMin, setDurationMin] = useState(30);
+  const [endAt, setEndAt] = useState('');
+  const [teamMode, setTeamMode] = useState(false);
+  const [teamNames, setTeamNames] = useState(() => t('create.defaultTeams'));
+  // null hasta medirla: sin ella no se cierra nada por tiempo ni se bloquean marcas por horario
+  const [serverOffset, setServerOffset] = useState(null);
+  const [resultsClosedFor, setResultsClosedFor] = useState('');
+  const finishRequested = useRef('');
+  const teamRequested = useRef('');
+  const [joinCode, setJoinCode] = useState(() => normalizeJoinCode(readJoinCode(window.location.search)));
+  const [codeInput, setCodeInput] = useState('');
+  const [joinError, setJoinError] = useState('');
+  const [boardPreset, setBoardPreset] = useState('standard');
+  const [board, setBoard] = useState(getBoard(null));
   const [isCreating, setIsCreating] = useState(false);
-  const [gameData, setGameData] = useState(null);
-  const [participants, setParticipants] = useState([]);
-  const [myParticipantData, setMyParticipantData] = useState(null);
+  // Lo que llega de las suscripciones de la partida abierta va junto a su id: al cambiar de partida
+  // deja de valer todo a la vez y nada de la anterior llega a los efectos de la nueva
+  const [feeds, setFeeds] = useState({ gameId: '' });
+  const receiveFeed = (gid, key, value) => setFeeds(prev => (prev.gameId === gid ? { ...prev, [key]: value } : { gameId: gid, [key]: value }));
+  const currentFeeds = feeds.gameId === gameId ? feeds : {};
+  const gameData = currentFeeds.game || null;
+  const syncedParticipants = currentFeeds.participants || NONE;
+  const participantsLoaded = Boolean(currentFeeds.participants);
+  const syncedParticipant = currentFeeds.mine || null;
+  const events = currentFeeds.events || NONE;
+  const messages = currentFeeds.messages || NONE;
+  const reactions = currentFeeds.reactions || NONE;
+  const [outbox, setOutbox] = useState(loadOutbox);
+  const sending = useRef(new Set());
+  const online = useOnline();
+  // Mi ficha y la lista de jugadores con mis cambios aún sin sincronizar ya aplicados
+  const myParticipantData = applyQueued(syncedParticipant, outbox, gameId);
+  const participants = myParticipantData === syncedParticipant ? syncedParticipants : syncedParticipants.map(p => p.userId === myParticipantData.userId ? myParticipantData : p);
   const [newName, setNewName] = useState('');
   const [isEditingName, setIsEditingName] = useState(false);
   const [errorMsg, setErrorMsg] = useState('');
   const [authError, setAuthError] = useState('');
+  // Perfil del usuario actual: `undefined` mientras no ha llegado, `null` si no tiene
+  const [loadedProfile, setLoadedProfile] = useState({ uid: null, profile: undefined });
+  const [history, setHistory] = useState(null);
+  const [showReplay, setShowReplay] = useState(false);
+  const [chatOpen, setChatOpen] = useState(false);
+  const [seenMessages, setSeenMessages] = useState(0);
+  const [hideOffline, setHideOffline] = useState(false);
+  const lastInteraction = useRef(0);
+
+  // Al cambiar de partida se olvida también lo que el jugador tenía a medias en la anterior
+  const [shownGameId, setShownGameId] = useState(gameId);
+  if (shownGameId !== gameId) {
+    setShownGameId(gameId);
+    setNewName('');
+    setIsEditingName(false);
+    setCodeInput('');
+    setJoinError('');
+    setErrorMsg('');
+    setShowReplay(false);
+    setChatOpen(false);
+    setSeenMessages(0);
+  }
+  // Las partidas con horario necesitan un reloj por segundos para la cuenta atrás
+  const now = useNow(getSchedule(gameData).timed ? 1000 : HEARTBEAT_MS / 2);
 
-  // --- LECTURA DE URL (QUERY STRING) ---
+  // --- RUTAS ---
   useEffect(() => {
-    // Leemos la URL al montar el componente
-    const params = new URLSearchParams(window.location.search);
-    const gameParam = params.get('game');
-    if (gameParam) {
-      console.log("Game ID detectado en URL:", gameParam);
-      setGameId(gameParam);
+    // Al montar dejamos la URL en su forma canónica (p.ej. `?game=` → /g/<id>), conservando `?items=` en /new
+    const route = getInitialRoute();
+    const canonical = buildPath(route.view, route.gameId) + (route.view === 'create' ? window.location.search : '');
+    if (canonical !== window.location.pathname + window.location.search) {
+      if (route.legacy) console.log("Game ID detectado en URL:", route.gameId);
+      window.history.replaceState(null, '', canonical);
     }
+
+    // Atrás / adelante del navegador
+    const onPopState = () => {
+      const next = parseLocation(window.location);
+      setView(next.view);
+      setGameId(next.gameId);
+      setJoinCode(normalizeJoinCode(readJoinCode(window.location.search)));
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
   }, []);
 
+  // La pantalla de proyector lee los mismos datos que la partida, pero nunca se une a ella
+  const inGame = view === 'play' || view === 'screen';
+
+  const navigate = (nextView, nextGameId = '') => {
+    const path = buildPath(nextView, nextGameId);
+    if (path !== window.location.pathname || window.location.search) window.history.pushState(null, '', path);
+    setView(nextView);
+    if (nextGameId !== gameId) setJoinCode('');
+    setGameId(nextGameId);
+  };
+
   // --- AUTH ---
   useEffect(() => {
-    if (!app || !auth) return;
-
-    const doAuth = async () => {
-      try {
-        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-          await signInWithCustomToken(auth, __initial_auth_token);
-        } else {
-          await signInAnonymously(auth);
-        }
-      } catch (err) {
-        console.error("Auth Error:", err);
-        let msg = err.message;
-        if (err.code === 'auth/operation-not-allowed') msg = "Activa el modo Anónimo en Firebase Console.";
-        if (err.code === 'auth/configuration-not-found') msg = "Error en authDomain. Revisa tu .env";
-        setAuthError(msg);
-      }
-    };
-    doAuth();
-    return onAuthStateChanged(auth, (u) => setUser(u));
+    if (!backend) return;
+    return backend.signIn((u) => setUser(u), (err) => {
+      console.error("Auth Error:", err);
+      // Se guarda la clave del catálogo; los errores desconocidos van con su mensaje tal cual
+      let msg = err.message;
+      if (err.code === 'auth/operation-not-allowed') msg = 'auth.anonymousDisabled';
+      if (err.code === 'auth/configuration-not-found') msg = 'auth.authDomain';
+      setAuthError(msg);
+    });
   }, []);
 
-  // --- DATA FETCHING (Home) ---
+  // --- IDIOMA ---
+  // El idioma vive en el módulo i18n; este estado solo fuerza a repintar con el nuevo catálogo
+  const changeLocale = (next) => {
+    setLocale(next);
+    setLocaleState(next);
+  };
+
+  // --- HORA DEL SERVIDOR ---
+  // El horario se compara siempre con la hora del servidor para que todos los relojes coincidan
+  useEffect(() => {
+    if (!user) return;
+    backend.getServerOffset(user.uid).then(setServerOffset).catch(err => console.error("Clock Error:", err));
+  }, [user]);
+
+  const clockKnown = serverOffset !== null;
+  // `undefined` mientras no se conoce: canMark no mira entonces el horario
+  const serverTime = () => (clockKnown ? Date.now() + serverOffset : undefined);
+  // Para pintar (cuentas atrás, presencia) vale la hora local hasta tener la del servidor
+  const serverNow = now + (serverOffset ?? 0);
+  const markNow = clockKnown ? serverNow : undefined;
+  const phase = gameData && clockKnown ? getPhase(gameData, serverNow) : 'running';
+  const teamsOpen = Boolean(gameData) && canChangeTeam(gameData, participants, markNow);
+
+  // Al acabarse el tiempo cualquier cliente cierra la partida (el backend solo deja al primero y
+  // comprueba la hora con la del servidor). Si aún no era la hora se reintenta en el siguiente tic.
   useEffect(() => {
-    if (view !== 'home' || !user || !db) return;
+    if (!inGame || !gameData || !participantsLoaded || phase !== 'over' || gameData.status === 'finished' || finishRequested.current === gameId) return;
+    finishRequested.current = gameId;
+    backend.finishGame(gameId, user.uid, freezeStandings(gameData, participants))
+      .then(finished => { if (!finished && finishRequested.current === gameId) finishRequested.current = ''; })
+      .catch(err => console.error("Error cerrando partida:", err));
+  }, [inGame, gameId, user, gameData, participantsLoaded, participants, phase, serverNow]);
+
+  // --- PERFIL ---
+  // El nombre preferido sustituye al nombre gracioso aleatorio en las partidas nuevas.
+  // Si no se puede leer el perfil se sigue como si no lo hubiera, para no bloquear la entrada.
+  useEffect(() => {
+    if (!user) return;
+    const receive = (profile) => setLoadedProfile({ uid: user.uid, profile });
+    return backend.subscribeProfile(user.uid, receive, (err) => {
+      console.error("Profile Listen Error:", err);
+      receive(null);
+    });
+  }, [user]);
+
+  const profile = user && loadedProfile.uid === user.uid ? loadedProfile.profile : undefined;
+  const profileLoaded = profile !== undefined;
+  const preferredName = profile?.displayName || '';
+
+  const saveProfileName = (displayName) => {
+    backend.saveProfile(user.uid, { displayName })
+      .catch(err => console.error("Error guardando perfil:", err));
+  };
+
+  const handleAuthError = (err) => {
+    if (['auth/popup-closed-by-user', 'auth/cancelled-popup-request'].includes(err.code)) return;
+    console.error("Account Error:", err);
+    alert(t(err.code === 'auth/user-not-found' ? 'auth.noLinkedPlayer' : 'auth.unreachable'));
+  };
+
+  // Mismo uid tras enlazar: las fichas de todas las partidas siguen siendo mías
+  const linkAccount = async () => {
     try {
-      const q = query(
-        collection(db, 'artifacts', appId, 'public', 'data', 'games'),
-        orderBy('createdAt', 'desc'),
-        limit(6)
-      );
-      
-      const unsubscribe = onSnapshot(q, (snapshot) => {
-        const games = [];
-        snapshot.forEach((doc) => games.push({ id: doc.id, ...doc.data() }));
-        setRecentGames(games);
-      }, (err) => {
-        console.error("Firestore Error:", err);
-        if (err.code === 'permission-denied') {
-            setErrorMsg("Error: Habilita Firestore Database en tu consola de Firebase.");
-        }
-      });
-      return () => unsubscribe();
-    } catch (e) { console.error(e); }
+      await backend.linkAccount();
+    } catch (err) {
+      if (err.code === 'auth/credential-already-in-use') {
+        if (window.confirm(t('auth.switchAccount'))) signInWithAccount();
+        return;
+      }
+      handleAuthError(err);
+    }
+  };
+
+  const signInWithAccount = async () => {
+    try {
+      await backend.signInWithAccount();
+    } catch (err) {
+      handleAuthError(err);
+    }
+  };
+
+  const signOutAccount = async () => {
+    if (!window.confirm(t('auth.confirmSignOut'))) return;
+    try {
+      await backend.signOut();
+    } catch (err) {
+      handleAuthError(err);
+    }
+  };
+
+  // --- HISTORIAL ---
+  // Se rehace al entrar en la vista; mientras tanto se ve el último cargado
+  useEffect(() => {
+    if (view !== 'history' || !user) return;
+    let cancelled = false;
+    backend.listMyGames(user.uid)
+      .then(games => Promise.all(games.map(async (g) => {
+        const mine = await backend.getParticipant(g.id, user.uid);
+        return mine ? buildHistoryEntry(g, mine, user.uid) : null;
+      })))
+      .then(entries => { if (!cancelled) setHistory(entries.filter(Boolean)); })
+      .catch(err => console.error("History Error:", err));
+    return () => { cancelled = true; };
   }, [view, user]);
 
+  // --- DATA FETCHING (Home) ---
+  const browseQuery = (uid, mine, search) => ({ uid, mine, pageSize: BROWSE_PAGE_SIZE, match: (g) => matchesBrowse(g, { uid, mine, search }) });
+  // Cada cambio de filtros abre una búsqueda nueva; abortarla corta también el "cargar más" en curso
+  const browseSearchRef = useRef(null);
+
+  // Primera página del buscador; al teclear esperamos un poco antes de buscar
+  useEffect(() => {
+    if (view !== 'home' || !user) return;
+    const controller = new AbortController();
+    browseSearchRef.current = controller;
+    const timer = setTimeout(() => {
+      backend.listGames({ ...browseQuery(user.uid, browseMine, browseSearch), signal: controller.signal })
+        .then(({ games, cursor }) => {
+          if (controller.signal.aborted) return;
+          setRecentGames(games);
+          setBrowseCursor(cursor);
+        })
+        .catch((err) => {
+          console.error("Firestore Error:", err);
+          if (err.code === 'permission-denied') {
+              setErrorMsg('home.firestoreDisabled');
+          }
+        });
+    }, browseSearch ? 300 : 0);
+    return () => { controller.abort(); clearTimeout(timer); };
+  }, [view, user, browseSearch, browseMine]);
+
+  const loadMoreGames = async () => {
+    const { signal } = browseSearchRef.current;
+    try {
+      const { games, cursor } = await backend.listGames({ ...browseQuery(user.uid, browseMine, browseSearch), cursor: browseCursor, signal });
+      if (signal.aborted) return;
+      setRecentGames(prev => [...prev, ...games]);
+      setBrowseCursor(cursor);
+    } catch (err) {
+      console.error("Browse Error:", err);
+    }
+  };
+
   // --- ACTIONS ---
+
+  const loadItems = (items, name = '') => {
+    setInputList(items.join('\n'));
+    setTemplateName(name);
+  };
+
+  // Nueva partida con los items (y el tablero) de una partida anterior
+  const reuseGame = (g) => {
+    loadItems(g.items || (g.layout || []).filter(x => x), g.creatorName ? t('common.by', { name: g.creatorName }) : g.id);
+    const gameBoard = getBoard(g);
+    const preset = Object.entries(BOARD_PRESETS).find(([, p]) => p.cols === gameBoard.cols && p.rows === gameBoard.rows && p.freeCenter === gameBoard.freeCenter);
+    setBoardPreset(preset ? preset[0] : 'custom');
+    setBoard(gameBoard);
+    navigate('create');
+  };
   
   const handleCreateGame = async () => {
     if (!inputList.trim()) return;
     const items = inputList.split('\n').filter(line => line.trim() !== '');
-    if (items.length < 10 || items.length > 20) {
-      alert("Please enter between 10 and 20 items.");
+    if (items.length < board.minItems || items.length > board.maxItems) {
+      alert(t('create.itemRange', { min: board.minItems, max: board.maxItems }));
       return;
     }
-    setIsCreating(true);
-    
-    // Generamos nombre inicial del creador
-    const creatorName = generateFunnyName();
-
-    // Shuffle global
-    for (let i = items.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [items[i], items[j]] = [items[j], items[i]];
+    if (winPatterns.length === 0) {
+      alert(t('create.noPatterns'));
+      return;
+    }
+    const teams = teamMode ? buildTeams(teamNames.split(/[\n,]/)) : null;
+    if (teams && teams.length < 2) {
+      alert(t('create.fewTeams'));
+      return;
     }
+    // Las horas del formulario son locales; se guardan como instantes absolutos
+    const startsAt = startAt ? new Date(startAt).getTime() : null;
+    const endsAt = endMode === 'end' && endAt ? new Date(endAt).getTime() : null;
+    const durationMs = endMode === 'duration' ? Math.max(1, durationMin) * 60000 : null;
+    if (endsAt && endsAt <= (startsAt || serverTime() || Date.now())) {
+      alert(t('create.endBeforeStart'));
+      return;
+    }
+    setIsCreating(true);
     
-    const rows = [[], [], [], []];
-    items.forEach((item, index) => rows[index % 4].push(item));
-    const layout = [];
-    rows.forEach(rowItems => {
-        while (rowItems.length < COLS) rowItems.push(null);
-        for (let i = rowItems.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [rowItems[i], rowItems[j]] = [rowItems[j], rowItems[i]];
-        }
-        layout.push(...rowItems);
-    });
+    // Generamos nombre inicial del creador (el botón espera a que cargue el perfil)
+    const creatorName = preferredName || generateFunnyName();
 
     const newGameId = Math.random().toString(36).substring(2, 9);
+    // Con cartones únicos cada ficha lleva su propio layout; la partida solo guarda el pool de items.
+    // Los equipos juntan sus marcas sobre el cartón común, así que no admiten cartones únicos.
+    const unique = uniqueCards && !teams;
+    const layout = unique ? null : buildLayout(items, board);
     try {
-      // 1. Crear Partida (guardamos creatorId y creatorName)
-      await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'games', newGameId), {
+      // Crear Partida (guardamos creatorId y creatorName) y la ficha del creador
+      await backend.createGame(newGameId, {
+        items,
         layout,
-        createdAt: serverTimestamp(),
+        uniqueCards: unique,
+        board,
         creatorId: user.uid,
         creatorName: creatorName,
-        participantCount: 1 
-      });
-
-      // 2. Crear ficha del Participante (el creador)
-      await setDoc(doc(db, 'artifacts', appId, 'public', 'data', `participants_${newGameId}`, user.uid), {
+        participantCount: 1,
+        winPatterns,
+        witnessesRequired,
+        scoring,
+        teams,
+        schedule: startsAt || endsAt || durationMs ? { startsAt, endsAt, durationMs } : null,
+        winner: null,
+        status: 'open',
+        joinsLocked: false,
+        markingPaused: false,
+        removedIds: [],
+        playerIds: [user.uid],
+        visibility
+      }, {
         name: creatorName,
         checkedIndices: [],
+        marks: {},
         userId: user.uid,
-        lastActive: serverTimestamp()
-      });
+        ...(teams ? { teamId: teams[0].id } : {}),
+        ...(unique ? createPlayerCard(items, board, newGameId, user.uid) : {})
+      }, visibility === 'private' ? createJoinCode() : null);
 
-      setGameId(newGameId);
-      setView('play');
+      recordEvent(newGameId, { type: 'join', userId: user.uid, name: creatorName });
+      navigate('play', newGameId);
     } catch (e) {
       console.error("Create Error:", e);
-      alert("Error al crear. ¿Has habilitado Firestore Database en la consola?");
+      alert(t('create.error'));
     } finally {
       setIsCreating(false);
     }
@@ -228,88 +560,386 @@ export default function SocialBingoApp() {
 
   // Join Game & Listen
   useEffect(() => {
-    if (view !== 'play' || !gameId || !user || !db) return;
-    const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'games', gameId);
-    
-    return onSnapshot(gameRef, (docSnap) => {
-      if (docSnap.exists()) {
-        setGameData(docSnap.data());
+    if (!inGame || !gameId || !user) return;
+    return backend.subscribeGame(gameId, (game) => {
+      receiveFeed(gameId, 'game', game);
+      if (game) {
         setErrorMsg('');
+        rememberLastGame(gameId);
       } else {
-        setErrorMsg('Game not found.');
-        setGameData(null);
+        setErrorMsg('game.notFound');
       }
     }, (err) => console.error("Game Listen Error:", err));
-  }, [view, gameId, user]);
+  }, [inGame, gameId, user]);
 
   // Participant Logic
   useEffect(() => {
-    if (!gameId || !user || !gameData) return;
-    const myPartRef = doc(db, 'artifacts', appId, 'public', 'data', `participants_${gameId}`, user.uid);
-    const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'games', gameId);
-
-    // Solo creamos si no existe (para no pisar al creador)
-    getDoc(myPartRef).then((snap) => {
-      if (!snap.exists()) {
-        const initialName = generateFunnyName();
-        setDoc(myPartRef, {
-          name: initialName,
-          checkedIndices: [],
-          userId: user.uid,
-          lastActive: serverTimestamp()
-        });
-        updateDoc(gameRef, { participantCount: increment(1) });
-      }
-    });
+    if (!inGame || !gameId || !user || !gameData) return;
 
-    const q = collection(db, 'artifacts', appId, 'public', 'data', `participants_${gameId}`);
-    return onSnapshot(q, (snapshot) => {
-      const parts = [];
-      snapshot.forEach(doc => {
-        const data = doc.data();
-        parts.push(data);
-        if (data.userId === user.uid) {
-          setMyParticipantData(data);
-          if (!isEditingName && !newName) setNewName(data.name);
+    // Solo creamos si la partida admite jugadores; el backend no pisa una ficha existente
+    // En partidas privadas no se intenta entrar hasta tener un código
+    // y nunca antes de saber si el jugador tiene nombre preferido
+    if (view === 'play' && profileLoaded && canJoin(gameData, user.uid) && (joinCode || !needsJoinCode(gameData, user.uid))) {
+      const card = gameData.uniqueCards ? createPlayerCard(gameData.items, getBoard(gameData), gameId, user.uid) : {};
+      const participant = { name: preferredName || generateFunnyName(), checkedIndices: [], marks: {}, userId: user.uid, ...card };
+      backend.joinGame(gameId, participant, joinCode).then((created) => {
+        if (created) recordEvent(gameId, { type: 'join', userId: user.uid, name: participant.name, ...(card.layout ? { layout: card.layout } : {}) });
+      }).catch(err => {
+        if (err.code === 'wrong-join-code') {
+          setJoinError('join.wrongCode');
+          setJoinCode('');
+          return;
         }
+        console.error("Join Error:", err);
       });
-      parts.sort((a, b) => (b.lastActive?.toMillis() || 0) - (a.lastActive?.toMillis() || 0));
-      setParticipants(parts);
-    });
-  }, [gameId, user, gameData]);
+    }
+
+    return backend.subscribeParticipants(gameId, (parts) => {
+      const mine = parts.find(p => p.userId === user.uid) || null;
+      if (mine && !isEditingName && !newName) setNewName(mine.name);
+      // Si el anfitrión nos ha expulsado, nuestra ficha desaparece del snapshot
+      receiveFeed(gameId, 'mine', mine);
+      parts.sort((a, b) => (b.lastActive || 0) - (a.lastActive || 0));
+      receiveFeed(gameId, 'participants', parts);
+    }, (err) => console.error("Participants Listen Error:", err));
+  }, [inGame, view, gameId, user, gameData, joinCode, profileLoaded, preferredName]);
+
+  // Modo equipos: quien entra sin equipo va al que tenga menos jugadores (luego puede cambiarse)
+  const needsTeam = view === 'play' && Boolean(myParticipantData) && getTeams(gameData).length > 0 && !getTeam(gameData, myParticipantData?.teamId);
+  useEffect(() => {
+    if (!needsTeam || teamRequested.current === gameId) return;
+    teamRequested.current = gameId;
+    const teamId = pickTeam(gameData, participants);
+    backend.setTeam(gameId, user.uid, teamId)
+      .then(() => recordEvent(gameId, { type: 'team', userId: user.uid, name: myParticipantData.name, teamId, teamName: getTeam(gameData, teamId).name }))
+      .catch(err => console.error("Team Error:", err));
+  }, [needsTeam, gameId, gameData, participants, user, myParticipantData]);
+
+  // Activity Log
+  useEffect(() => {
+    if (!inGame || !gameId || !user) return;
+    return backend.subscribeEvents(gameId, (list) => receiveFeed(gameId, 'events', list), (err) => console.error("Events Listen Error:", err));
+  }, [inGame, gameId, user]);
+
+  // Presence: latido mientras la pestaña está abierta; inactivo si está oculta o sin interacción
+  const isJoined = Boolean(myParticipantData);
+  useEffect(() => {
+    if (view !== 'play' || !gameId || !user || !isJoined) return;
+    const beat = (extra = {}) => {
+      // Sin conexión el latido no llegaría; ya nos dará de baja el resto al vernos sin latir
+      if (!navigator.onLine) return;
+      const idle = document.hidden || Date.now() - lastInteraction.current > IDLE_AFTER_MS;
+      backend.heartbeat(gameId, user.uid, { idle, ...extra }).catch(err => console.error("Heartbeat Error:", err));
+    };
+    const onInteraction = () => {
+      const wasIdle = Date.now() - lastInteraction.current > IDLE_AFTER_MS;
+      lastInteraction.current = Date.now();
+      if (wasIdle) beat();
+    };
+    const onVisibility = () => beat();
+    const onLeave = () => beat({ left: true });
+
+    lastInteraction.current = Date.now();
+    beat();
+    const timer = setInterval(beat, HEARTBEAT_MS);
+    window.addEventListener('pointerdown', onInteraction);
+    window.addEventListener('keydown', onInteraction);
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('pagehide', onLeave);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('pointerdown', onInteraction);
+      window.removeEventListener('keydown', onInteraction);
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('pagehide', onLeave);
+      onLeave();
+    };
+  }, [view, gameId, user, isJoined]);
+
+  // Quien deja de latir sin despedirse (pestaña cerrada de golpe, sin conexión) deja de contar en
+  // `participantCount`. Lo hace cualquier jugador que lo vea; el backend lo vuelve a comprobar.
+  const expireRequested = useRef(new Set());
+  useEffect(() => {
+    if (view !== 'play' || !isJoined || !clockKnown) return;
+    syncedParticipants
+      .filter(p => p.present !== false && !isPresent(p, serverNow))
+      .forEach(p => {
+        const key = `${gameId}:${p.userId}:${p.lastSeen}`;
+        if (expireRequested.current.has(key)) return;
+        expireRequested.current.add(key);
+        backend.expirePresence(gameId, p.userId, serverNow - OFFLINE_AFTER_MS).catch(err => console.error("Presence Error:", err));
+      });
+  }, [view, isJoined, clockKnown, gameId, syncedParticipants, serverNow]);
+
+  // Chat & Reactions
+  useEffect(() => {
+    if (!inGame || !gameId || !user) return;
+    const unsubMessages = backend.subscribeMessages(gameId, (list) => receiveFeed(gameId, 'messages', list), (err) => console.error("Chat Listen Error:", err));
+    const unsubReactions = backend.subscribeReactions(gameId, (list) => receiveFeed(gameId, 'reactions', list), (err) => console.error("Reactions Listen Error:", err));
+    return () => { unsubMessages(); unsubReactions(); };
+  }, [inGame, gameId, user]);
+
+  // El registro es informativo: si falla una escritura no bloqueamos la partida
+  const recordEvent = (gid, event) => {
+    backend.logEvent(gid, event).catch(err => console.error("Error registrando evento:", err));
+  };
 
-  const toggleCell = async (index) => {
-    if (!myParticipantData || gameData.layout[index] === null) return;
+  // --- COLA SIN CONEXIÓN ---
+  // Marcas y renombres se apuntan primero en la cola (ver offline.js); el efecto de abajo los envía
+  const enqueue = (change) => setOutbox(queueChange({ ...change, id: Math.random().toString(36).substring(2, 11), uid: user.uid }));
+
+  // El evento y el posible bingo esperan a que el backend confirme la escritura.
+  // Es un efecto-evento: lee la partida más reciente sin volver a disparar el envío.
+  // Un toque solo sale con su partida abierta y la hora del servidor conocida: si mientras
+  // esperaba se ha pausado, cerrado o acabado el tiempo, se descarta en vez de enviarse.
+  const sendChange = useEffectEvent((change) => {
+    if (change.type === 'toggle') {
+      if (change.gameId !== gameId || !gameData || !clockKnown) return;
+      if (!canMark(gameData, serverTime())) {
+        setOutbox(dropChange(change.id));
+        return;
+      }
+    }
+    sending.current.add(change.id);
+    const write = change.type === 'toggle'
+      ? backend.setChecks(change.gameId, change.uid, { [change.index]: change.checked }, change.witnessed)
+      : backend.rename(change.gameId, change.uid, change.name, change.isCreator);
+    write
+      .then(() => {
+        setOutbox(dropChange(change.id));
+        if (change.type === 'rename') recordEvent(change.gameId, { type: 'rename', userId: change.uid, name: change.name, oldName: change.base });
+        if (change.type === 'toggle') {
+          recordEvent(change.gameId, change.event);
+          if (change.checked && change.gameId === gameId && gameData && myParticipantData) claimIfWinning();
+        }
+      })
+      .catch(err => {
+        console.error("Sync Error:", err);
+        // Con conexión el servidor la ha rechazado (p.ej. nos han expulsado): no se reintenta
+        if (navigator.onLine) setOutbox(dropChange(change.id));
+      })
+      .finally(() => sending.current.delete(change.id));
+  });
+
+  // La partida y el reloj están en las dependencias para soltar los toques que esperaban por ellos
+  useEffect(() => {
+    if (!online || !user) return;
+    outbox.filter(c => c.uid === user.uid && !sending.current.has(c.id)).forEach(sendChange);
+  }, [online, user, outbox, gameData, clockKnown]);
+
+  // Con mi ficha tal y como la veo; el backend lo vuelve a comprobar con la guardada
+  const claimIfWinning = () => {
+    const counted = getWinIndices(gameData, myParticipantData, participants);
+    if (!gameData.winner && findWinningLine(getPlayerLayout(gameData, myParticipantData), counted, gameData.winPatterns || DEFAULT_WIN_PATTERNS, getBoard(gameData))) {
+      claimBingo(user.uid).catch(err => console.error("Error reclamando bingo:", err));
+    }
+  };
+
+  const toggleCell = (index) => {
+    const myLayout = getPlayerLayout(gameData, myParticipantData);
+    if (!myParticipantData || !myLayout || myLayout[index] === null || !canMark(gameData, serverTime())) return;
     const currentChecks = myParticipantData.checkedIndices || [];
-    let newChecks = currentChecks.includes(index) 
-      ? currentChecks.filter(i => i !== index) 
-      : [...currentChecks, index];
-    const myPartRef = doc(db, 'artifacts', appId, 'public', 'data', `participants_${gameId}`, user.uid);
-    await setDoc(myPartRef, { checkedIndices: newChecks, lastActive: serverTimestamp() }, { merge: true });
+    const checked = !currentChecks.includes(index);
+    const newChecks = checked ? [...currentChecks, index] : currentChecks.filter(i => i !== index);
+    // En modo testigos las marcas nuevas nacen pendientes y las quitadas pierden sus votos
+    enqueue({
+      type: 'toggle',
+      gameId,
+      index,
+      checked,
+      witnessed: Boolean(gameData.witnessesRequired),
+      event: { type: 'toggle', userId: user.uid, name: myParticipantData.name, index, item: myLayout[index], checked, checkedIndices: newChecks }
+    });
   };
 
-  const updateName = async () => {
-    if (!newName.trim()) return;
-    const myPartRef = doc(db, 'artifacts', appId, 'public', 'data', `participants_${gameId}`, user.uid);
-    
-    // 1. Actualizo mi nombre en la lista de participantes
-    await setDoc(myPartRef, { name: newName, lastActive: serverTimestamp() }, { merge: true });
-
-    // 2. SINCRONIZACIÓN: Si soy el creador, actualizo el nombre en la partida también
-    if (gameData && user.uid === gameData.creatorId) {
-       const gameRef = doc(db, 'artifacts', appId, 'public', 'data', 'games', gameId);
-       // Hacemos un update silencioso (si falla no es crítico para la UI)
-       updateDoc(gameRef, { creatorName: newName })
-        .catch(err => console.error("Error sincronizando nombre creador:", err));
+  // El primer reclamo válido gana: el backend vuelve a comprobar la ficha
+  // guardada de forma atómica y no pisa a un ganador que haya llegado antes.
+  // Con testigos, quien confirma la última marca reclama en nombre del dueño del cartón.
+  // En modo equipos la unión se hace con las fichas de los compañeros leídas en la transacción.
+  const claimBingo = async (uid) => {
+    const teamId = participants.find(p => p.userId === uid)?.teamId;
+    const memberIds = teamId ? participants.filter(p => p.teamId === teamId).map(p => p.userId) : [];
+    const winner = await backend.claimWinner(gameId, uid, memberIds, (game, part, members) => {
+      if (game.winner || !canMark(game, serverTime())) return null;
+      const line = findWinningLine(getPlayerLayout(game, part), getWinIndices(game, part, members), game.winPatterns || DEFAULT_WIN_PATTERNS, getBoard(game));
+      if (!line) return null;
+      const team = getTeam(game, part.teamId);
+      return { userId: part.userId, name: part.name, pattern: line.pattern, cells: line.cells, ...(team ? { teamId: team.id, teamName: team.name } : {}) };
+    });
+    if (winner) recordEvent(gameId, { type: 'win', userId: winner.userId, name: winner.name, pattern: winner.pattern, ...(winner.teamName ? { teamName: winner.teamName } : {}) });
+  };
+
+  const voteOnMark = async (participant, index, verdict) => {
+    if (!myParticipantData || participant.userId === user.uid || !canMark(gameData, serverTime())) return;
+    try {
+      await backend.voteMark(gameId, participant.userId, index, user.uid, verdict);
+      if (verdict === 'confirm' && !gameData.winner) await claimBingo(participant.userId);
+    } catch (err) {
+      console.error("Error votando marca:", err);
     }
+  };
 
+  const updateName = () => {
+    if (!newName.trim() || !myParticipantData) return;
+    // Si soy el creador, el backend sincroniza también el nombre en la partida
+    if (newName !== myParticipantData.name) enqueue({ type: 'rename', gameId, name: newName, isCreator: gameData && user.uid === gameData.creatorId, base: syncedParticipant.name });
     setIsEditingName(false);
   };
 
+  // --- CHAT ---
+
+  // El mensaje lleva el nombre actual de mi ficha de participante
+  const sendMessage = (text) => {
+    if (!myParticipantData) return;
+    backend.sendMessage(gameId, { userId: user.uid, name: myParticipantData.name, text })
+      .catch(err => console.error("Error enviando mensaje:", err));
+  };
+
+  const deleteMessage = (messageId) => {
+    if (!window.confirm(t('game.confirmDeleteMessage'))) return;
+    backend.deleteMessage(gameId, messageId).catch(err => console.error("Error borrando mensaje:", err));
+  };
+
+  const toggleChat = () => {
+    setSeenMessages(messages.length);
+    setChatOpen(open => !open);
+  };
+
+  // Una reacción por jugador, destino y emoji: volver a pulsarla la quita.
+  // Las de celda van por texto del item para que valgan también con cartones únicos.
+  const toggleReaction = (target, emoji) => {
+    if (!myParticipantData) return;
+    const targetKey = target.userId ? `p-${target.userId}` : `i-${hashSeed(target.item)}`;
+    const emojiKey = [...emoji].map(c => c.codePointAt(0).toString(16)).join('-');
+    const reactionId = `${user.uid}_${targetKey}_${emojiKey}`;
+    const exists = reactions.some(r => r.id === reactionId);
+    const reaction = { emoji, userId: user.uid, name: myParticipantData.name, targetUserId: target.userId || null, item: target.item || null };
+    backend.setReaction(gameId, reactionId, exists ? null : reaction)
+      .catch(err => console.error("Error reaccionando:", err));
+  };
+
+  // --- HOST ---
+
+  // Al terminar, el anfitrión congela la clasificación que está viendo
+  const setGameStatus = (status) => {
+    const standings = status === 'finished' ? freezeStandings(gameData, participants) : null;
+    backend.setStatus(gameId, status, standings).catch(err => console.error("Error cambiando estado:", err));
+  };
+
+  const setGameControls = (controls) => {
+    backend.setControls(gameId, controls).catch(err => console.error("Error cambiando estado:", err));
+  };
+
+  const resetBoards = async () => {
+    if (!window.confirm(t('game.confirmReset'))) return;
+    try {
+      await backend.resetBoards(gameId);
+      recordEvent(gameId, { type: 'reset', userId: user.uid, name: myParticipantData?.name || gameData.creatorName });
+    } catch (err) {
+      console.error("Error reiniciando cartones:", err);
+    }
+  };
+
+  // --- CARTONES EN PAPEL ---
+
+  const printableCard = (layout, subtitle) => ({ layout, subtitle, board: getBoard(gameData), gameId, joinUrl: gameUrl(gameId, 'play', hostJoinCode) });
+
+  const runExport = async (task) => {
+    setIsExporting(true);
+    try {
+      await task();
+    } catch (err) {
+      console.error("Export Error:", err);
+      alert(t('game.exportError'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // El PNG refleja mis marcas actuales; el PDF es para imprimir y jugar en papel, así que va en blanco.
+  // Quien solo mira (sin ficha) puede bajarse el cartón común, sin nombre ni marcas.
+  const exportMyCard = (format) => runExport(() => {
+    const card = printableCard(getPlayerLayout(gameData, myParticipantData), myParticipantData?.name || '');
+    return format === 'png'
+      ? downloadCardPng({ ...card, checkedIndices: myParticipantData?.checkedIndices || [] })
+      : downloadCardsPdf([card]);
+  });
+
+  const printCards = () => {
+    const count = parseInt(window.prompt(t('host.printCount', { max: MAX_PRINT_CARDS }), '10'), 10);
+    if (!count) return;
+    const items = gameData.items || (gameData.layout || []).filter(x => x);
+    const layouts = buildPrintLayouts(items, getBoard(gameData), gameId, Math.min(MAX_PRINT_CARDS, Math.max(1, count)));
+    runExport(() => downloadCardsPdf(layouts.map((layout, i) => printableCard(layout, t('host.cardNumber', { number: i + 1 }))), `${layouts.length}-cards`));
+  };
+
+  const changeTeam = async (teamId) => {
+    if (!teamsOpen) return;
+    try {
+      await backend.setTeam(gameId, user.uid, teamId);
+      recordEvent(gameId, { type: 'team', userId: user.uid, name: myParticipantData.name, teamId, teamName: getTeam(gameData, teamId)?.name });
+    } catch (err) {
+      console.error("Team Error:", err);
+    }
+  };
+
+  const removeParticipant = async (participant) => {
+    if (participant.userId === gameData.creatorId) return;
+    if (!window.confirm(t('game.confirmRemove', { name: participant.name }))) return;
+    try {
+      await backend.removeParticipant(gameId, participant.userId);
+      recordEvent(gameId, { type: 'remove', userId: participant.userId, name: participant.name });
+    } catch (err) {
+      console.error("Error expulsando participante:", err);
+    }
+  };
+
+  // El anfitrión comparte los enlaces de una partida privada con el código incluido.
+  // El código no está en la partida: solo el anfitrión puede pedírselo al backend.
+  const [hostCode, setHostCode] = useState({ gameId: '', joinCode: '' });
+  const isPrivateHost = Boolean(user && gameData && gameData.creatorId === user.uid && getVisibility(gameData) === 'private');
+  useEffect(() => {
+    if (!inGame || !isPrivateHost) return;
+    let cancelled = false;
+    backend.getJoinCode(gameId)
+      .then(code => { if (!cancelled) setHostCode({ gameId, joinCode: code || '' }); })
+      .catch(err => console.error("Join Code Error:", err));
+    return () => { cancelled = true; };
+  }, [inGame, isPrivateHost, gameId]);
+  const hostJoinCode = isPrivateHost && hostCode.gameId === gameId ? hostCode.joinCode : '';
+
+  // La pantalla de proyector de una partida privada también pide el código a quien no juega en ella
+  const [screenAccess, setScreenAccess] = useState('');
+  const screenNeedsCode = view === 'screen' && Boolean(user && gameData) && needsJoinCode(gameData, user.uid);
+  useEffect(() => {
+    if (!screenNeedsCode || !joinCode) return;
+    let cancelled = false;
+    backend.enterCode(gameId, user.uid, joinCode)
+      .then(() => { if (!cancelled) setScreenAccess(gameId); })
+      .catch(err => {
+        if (cancelled) return;
+        if (err.code === 'wrong-join-code') {
+          setJoinError('join.wrongCode');
+          setJoinCode('');
+          return;
+        }
+        console.error("Join Code Error:", err);
+      });
+    return () => { cancelled = true; };
+  }, [screenNeedsCode, gameId, user, joinCode]);
+
+  const openScreen = () => window.open(gameUrl(gameId, 'screen', hostJoinCode), '_blank', 'noopener');
+
+  const submitJoinCode = (e) => {
+    e.preventDefault();
+    setJoinError('');
+    setJoinCode(normalizeJoinCode(codeInput));
+  };
+
   const copyLink = () => {
-    const url = window.location.href.split('?')[0] + `?game=${gameId}`;
+    const url = gameUrl(gameId, 'play', hostJoinCode);
     navigator.clipboard.writeText(url);
-    alert("Enlace copiado al portapapeles: " + url);
+    alert(t('game.linkCopied', { url }));
   };
 
   // --- RENDER ---
@@ -318,20 +948,20 @@ export default function SocialBingoApp() {
     return (
       <div className="w-full min-h-screen bg-slate-50 flex flex-col items-center justify-center p-8 text-center text-slate-500 font-sans">
         <style>{`#root { width: 100%; max-width: 100%; margin: 0; padding: 0; text-align: left; } body { display: block; place-items: unset; min-width: 0; }`}</style>
-        {!isConfigValid ? (
+        {!backend ? (
           <div className="bg-red-50 border border-red-200 p-6 rounded-lg max-w-lg">
-            <h3 className="text-red-700 font-bold flex items-center gap-2 justify-center"><AlertCircle/> Configuración Inválida</h3>
-            <p className="text-sm mt-2">Revisa tu archivo <code>.env</code></p>
+            <h3 className="text-red-700 font-bold flex items-center gap-2 justify-center"><AlertCircle/> {t('auth.invalidConfig')}</h3>
+            <p className="text-sm mt-2">{t('auth.checkEnv', { file: '.env' })}</p>
           </div>
         ) : authError ? (
           <div className="bg-red-50 border border-red-200 p-6 rounded-lg max-w-lg text-red-700">
-             <h3 className="font-bold flex gap-2 justify-center items-center"><Bug/> Error de Autenticación</h3>
-             <p className="mt-2 text-sm font-mono">{authError}</p>
+             <h3 className="font-bold flex gap-2 justify-center items-center"><Bug/> {t('auth.error')}</h3>
+             <p className="mt-2 text-sm font-mono">{t(authError)}</p>
           </div>
         ) : (
           <div className="animate-pulse flex flex-col items-center gap-4">
              <div className="w-8 h-8 border-4 border-indigo-200 border-t-indigo-600 rounded-full animate-spin"></div>
-             <span>Conectando...</span>
+             <span>{t('auth.connecting')}</span>
           </div>
         )}
       </div>
@@ -349,60 +979,189 @@ export default function SocialBingoApp() {
         <div className="w-full max-w-md md:max-w-2xl space-y-6 transition-all duration-300">
           <div className="bg-white rounded-xl shadow-xl p-8 text-center">
             <h1 className="text-4xl font-extrabold text-slate-800 mb-2">BINGO!</h1>
-            <p className="text-slate-500 mb-8">Social. Real-time.</p>
+            <p className="text-slate-500 mb-8">{t('home.tagline')}</p>
+            {backend.name === 'local' && <div className="-mt-6 mb-6 text-xs text-amber-700 bg-amber-50 rounded p-2">{t('home.localMode')}</div>}
             
-            <button onClick={() => setView('create')} className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg mb-4 transition flex items-center justify-center gap-2">
-              <Edit2 size={20} /> Create New
+            <button onClick={() => navigate('create')} className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg mb-4 transition flex items-center justify-center gap-2">
+              <Edit2 size={20} /> {t('home.createNew')}
             </button>
 
             <div className="relative flex py-5 items-center">
-              <div className="flex-grow border-t border-gray-300"></div><span className="flex-shrink-0 mx-4 text-gray-400">Or</span><div className="flex-grow border-t border-gray-300"></div>
+              <div className="flex-grow border-t border-gray-300"></div><span className="flex-shrink-0 mx-4 text-gray-400">{t('home.or')}</span><div className="flex-grow border-t border-gray-300"></div>
             </div>
 
             <div className="flex gap-2">
-              <input type="text" placeholder="Game ID" className="flex-1 border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" value={gameId} onChange={(e) => setGameId(e.target.value)} />
-              <button onClick={() => gameId && setView('play')} className="bg-emerald-500 hover:bg-emerald-600 text-white font-bold py-2 px-4 rounded-lg transition">Join</button>
+              <input type="text" placeholder={t('home.gameId')} className="flex-1 border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" value={gameIdInput} onChange={(e) => setGameIdInput(e.target.value)} />
+              <button onClick={() => gameIdInput.trim() && navigate('play', gameIdInput.trim())} className="bg-emerald-500 hover:bg-emerald-600 text-white font-bold py-2 px-4 rounded-lg transition">{t('common.join')}</button>
             </div>
             
-            {errorMsg && <div className="mt-4 text-xs text-red-500 bg-red-50 p-2 rounded">{errorMsg}</div>}
+            {errorMsg && <div className="mt-4 text-xs text-red-500 bg-red-50 p-2 rounded">{t(errorMsg)}</div>}
+            {!online && <div className="mt-4 text-xs text-red-700 bg-red-50 p-2 rounded flex items-center justify-center gap-2"><WifiOff size={14} /> {t('connection.offlineHome')}{getLastGame() && <button onClick={() => navigate('play', getLastGame())} className="font-bold underline bg-transparent border-0 p-0 text-red-700">{t('connection.lastGame')}</button>}</div>}
+            <LanguageSwitcher locale={locale} onChange={changeLocale} className="justify-center mt-6" />
           </div>
 
+          <ProfileCard user={user} profile={profile} onSaveName={saveProfileName} onLink={linkAccount} onSignIn={signInWithAccount} onSignOut={signOutAccount} onHistory={() => navigate('history')} />
+
           <div className="space-y-2">
-            <h3 className="text-slate-500 font-bold text-sm ml-2 uppercase tracking-wide">Last cards</h3>
-            {recentGames.length === 0 && <div className="text-center text-slate-400 text-sm italic">No hay partidas recientes.</div>}
+            <div className="flex flex-wrap items-center justify-between gap-2 ml-2">
+              <h3 className="text-slate-500 font-bold text-sm uppercase tracking-wide">{t('home.browse')}</h3>
+              <label className="flex items-center gap-1 text-xs text-slate-500 cursor-pointer">
+                <input type="checkbox" className="accent-indigo-600" checked={browseMine} onChange={(e) => setBrowseMine(e.target.checked)} /> {t('home.mine')}
+              </label>
+            </div>
+            <div className="relative">
+              <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+              <input type="search" placeholder={t('home.search')} className="w-full border border-slate-200 rounded-lg pl-8 pr-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500" value={browseSearch} onChange={(e) => setBrowseSearch(e.target.value)} />
+            </div>
+            {recentGames.length === 0 && <div className="text-center text-slate-400 text-sm italic">{browseSearch || browseMine ? t('home.noMatches') : t('home.noRecent')}</div>}
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
               {recentGames.map(g => (
-                <div key={g.id} onClick={() => { setGameId(g.id); setView('play'); }} className="bg-white p-4 rounded-lg shadow-sm border border-slate-200 cursor-pointer hover:border-indigo-400 hover:shadow-md transition group">
+                <div key={g.id} onClick={() => navigate('play', g.id)} className="bg-white p-4 rounded-lg shadow-sm border border-slate-200 cursor-pointer hover:border-indigo-400 hover:shadow-md transition group">
                   <div className="flex justify-between items-start mb-1">
                     <div className="font-bold text-slate-700 group-hover:text-indigo-600 transition truncate pr-2">
-                      {g.creatorName ? `By ${g.creatorName}` : g.id}
+                      {g.creatorName ? t('common.by', { name: g.creatorName }) : g.id}
+                    </div>
+                    <div className="flex-shrink-0 flex items-center gap-1">
+                      <button onClick={(e) => { e.stopPropagation(); reuseGame(g); }} title={t('home.reuse')} className="p-1 rounded-full bg-transparent border-0 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50"><Repeat size={14} /></button>
+                      {getVisibility(g) !== 'public' && <span title={t(VISIBILITY[getVisibility(g)])} className="text-slate-400">{getVisibility(g) === 'private' ? <Lock size={12} /> : <LinkIcon size={12} />}</span>}
+                      <div className="flex items-center text-xs font-semibold text-slate-500 bg-slate-100 px-2 py-1 rounded-full"><Users size={12} className="mr-1"/> {Math.max(0, g.participantCount || 0)}</div>
                     </div>
-                    <div className="flex-shrink-0 flex items-center text-xs font-semibold text-slate-500 bg-slate-100 px-2 py-1 rounded-full"><Users size={12} className="mr-1"/> {g.participantCount || 0}</div>
                   </div>
-                  <p className="text-xs text-slate-500 line-clamp-2">{g.layout ? g.layout.filter(x => x).slice(0, 3).join(', ') + '...' : 'Vacío'}</p>
+                  <p className="text-xs text-slate-500 line-clamp-2">{(g.items || g.layout) ? (g.items || g.layout).filter(x => x).slice(0, 3).join(', ') + '...' : t('home.empty')}</p>
                 </div>
               ))}
             </div>
+            {browseCursor && <button onClick={loadMoreGames} className="w-full text-sm text-indigo-600 hover:bg-indigo-50 rounded-lg py-2 transition">{t('home.loadMore')}</button>}
           </div>
         </div>
       </div>
     );
   }
 
+  // HISTORY
+  if (view === 'history') return <HistoryPage entries={history} now={now} onOpen={(id) => navigate('play', id)} onBack={() => navigate('home')} />;
+
   // CREATE
   if (view === 'create') {
     const itemCount = inputList.split('\n').filter(l => l.trim()).length;
+    const togglePattern = (key) => setWinPatterns(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+    const selectPreset = (key) => {
+      setBoardPreset(key);
+      if (key === 'custom') return;
+      const { label: _label, ...preset } = BOARD_PRESETS[key];
+      setBoard(preset);
+    };
+    // Cambiar dimensiones recalcula los límites; la casilla libre solo ajusta el máximo
+    const resizeBoard = (changes) => setBoard(prev => {
+      const next = { ...prev, ...changes };
+      next.cols = Math.min(MAX_SIDE, Math.max(MIN_SIDE, next.cols || MIN_SIDE));
+      next.rows = Math.min(MAX_SIDE, Math.max(MIN_SIDE, next.rows || MIN_SIDE));
+      return { ...next, ...getItemLimits(next) };
+    });
+    const toggleFreeCenter = (freeCenter) => setBoard(prev => {
+      const { maxItems } = getItemLimits({ ...prev, freeCenter });
+      return { ...prev, freeCenter, maxItems, minItems: Math.min(prev.minItems, maxItems) };
+    });
+    const setLimit = (key, value) => setBoard(prev => {
+      const { maxItems: capacity } = getItemLimits(prev);
+      const clamped = Math.min(capacity, Math.max(1, value || 1));
+      return key === 'minItems'
+        ? { ...prev, minItems: clamped, maxItems: Math.max(prev.maxItems, clamped) }
+        : { ...prev, maxItems: clamped, minItems: Math.min(prev.minItems, clamped) };
+    });
+    const canFreeCenter = board.cols % 2 === 1 && board.rows % 2 === 1;
+    const itemsInRange = itemCount >= board.minItems && itemCount <= board.maxItems;
     return (
       <div className="w-full min-h-screen bg-slate-50 p-4 md:p-8 font-sans">
         <style>{`#root { width: 100%; max-width: 100%; } body { display: block; place-items: unset; }`}</style>
         <div className="w-full max-w-2xl md:max-w-4xl mx-auto bg-white rounded-xl shadow-lg overflow-hidden transition-all duration-300">
-          <div className="bg-indigo-600 p-6"><h2 className="text-2xl font-bold text-white flex items-center gap-2"><Edit2 /> Create new card</h2><p className="text-indigo-200 text-sm mt-1">Write from 10 to 20 sentences.</p></div>
+          <div className="bg-indigo-600 p-6"><h2 className="text-2xl font-bold text-white flex items-center gap-2"><Edit2 /> {t('create.title')}</h2><p className="text-indigo-200 text-sm mt-1">{t('create.subtitle', { min: board.minItems, max: board.maxItems })}</p></div>
           <div className="p-6">
-            <textarea className="w-full h-64 p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none bg-slate-50 text-slate-800" placeholder="Sentences..." value={inputList} onChange={(e) => setInputList(e.target.value)} />
+            <TemplateBar items={inputList.split('\n').map(l => l.trim()).filter(Boolean)} templateName={templateName} onLoad={loadItems} />
+            <textarea className="w-full h-64 p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none bg-slate-50 text-slate-800" placeholder={t('create.placeholder')} value={inputList} onChange={(e) => setInputList(e.target.value)} />
+            <div className="mt-4">
+              <div className="text-xs font-bold text-slate-500 uppercase tracking-wide mb-2">{t('create.board')}</div>
+              <div className="flex flex-wrap gap-2">
+                {[...Object.entries(BOARD_PRESETS).map(([key, preset]) => [key, preset.label]), ['custom', 'boards.custom']].map(([key, label]) => (
+                  <button key={key} onClick={() => selectPreset(key)} className={`text-sm px-3 py-1 rounded-full border transition ${boardPreset === key ? 'bg-indigo-50 border-indigo-400 text-indigo-700' : 'bg-white border-slate-200 text-slate-500'}`}>{t(label)}</button>
+                ))}
+              </div>
+              {boardPreset === 'custom' && (
+                <div className="flex flex-wrap items-center gap-3 mt-3 text-sm text-slate-600">
+                  <label className="flex items-center gap-1">{t('create.columns')} <input type="number" min={MIN_SIDE} max={MAX_SIDE} className="border rounded px-2 py-1 w-16" value={board.cols} onChange={(e) => resizeBoard({ cols: parseInt(e.target.value, 10) })} /></label>
+                  <label className="flex items-center gap-1">{t('create.rows')} <input type="number" min={MIN_SIDE} max={MAX_SIDE} className="border rounded px-2 py-1 w-16" value={board.rows} onChange={(e) => resizeBoard({ rows: parseInt(e.target.value, 10) })} /></label>
+                  <label className="flex items-center gap-1">{t('create.minItems')} <input type="number" min={1} className="border rounded px-2 py-1 w-16" value={board.minItems} onChange={(e) => setLimit('minItems', parseInt(e.target.value, 10))} /></label>
+                  <label className="flex items-center gap-1">{t('create.maxItems')} <input type="number" min={1} className="border rounded px-2 py-1 w-16" value={board.maxItems} onChange={(e) => setLimit('maxItems', parseInt(e.target.value, 10))} /></label>
+                </div>
+              )}
+              {canFreeCenter && (
+                <label className="flex items-center gap-2 text-sm text-slate-600 mt-3 cursor-pointer">
+                  <input type="checkbox" className="accent-indigo-600" checked={board.freeCenter} onChange={(e) => toggleFreeCenter(e.target.checked)} /> {t('create.freeCenter')}
+                </label>
+              )}
+            </div>
+            <div className="mt-4">
+              <div className="text-xs font-bold text-slate-500 uppercase tracking-wide mb-2">{t('create.patterns')}</div>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(WIN_PATTERNS).map(([key, label]) => (
+                  <label key={key} className={`flex items-center gap-1 text-sm px-3 py-1 rounded-full border cursor-pointer transition ${winPatterns.includes(key) ? 'bg-indigo-50 border-indigo-400 text-indigo-700' : 'border-slate-200 text-slate-500'}`}>
+                    <input type="checkbox" className="accent-indigo-600" checked={winPatterns.includes(key)} onChange={() => togglePattern(key)} /> {t(label)}
+                  </label>
+                ))}
+              </div>
+              <label className={`flex items-center gap-2 text-sm text-slate-600 mt-3 ${teamMode ? 'opacity-50' : 'cursor-pointer'}`}>
+                <input type="checkbox" className="accent-indigo-600" disabled={teamMode} checked={uniqueCards && !teamMode} onChange={(e) => setUniqueCards(e.target.checked)} /> {t('create.uniqueCards')}
+              </label>
+              <label className="flex items-center gap-2 text-sm text-slate-600 mt-3 cursor-pointer">
+                <input type="checkbox" className="accent-indigo-600" checked={teamMode} onChange={(e) => setTeamMode(e.target.checked)} /> {t('create.teamMode')} <span className="text-xs text-slate-400">{t('create.teamHint')}</span>
+              </label>
+              {teamMode && <textarea className="w-full h-20 mt-2 p-2 border border-slate-300 rounded-lg text-sm font-mono" placeholder={t('create.teamPlaceholder')} value={teamNames} onChange={(e) => setTeamNames(e.target.value)} />}
+              <label className="flex items-center gap-2 text-sm text-slate-600 mt-3">
+                {t('create.witnesses')}
+                <select className="border rounded px-2 py-1 bg-white" value={witnessesRequired} onChange={(e) => setWitnessesRequired(parseInt(e.target.value, 10))}>
+                  <option value={0}>{t('create.witnessesOff')}</option>
+                  {[1, 2, 3].map(n => <option key={n} value={n}>{t('create.witnessesPerMark', { count: n })}</option>)}
+                </select>
+              </label>
+              <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600 mt-3">
+                <CalendarClock size={16} className="text-slate-400" /> {t('create.starts')}
+                <input type="datetime-local" className="border rounded px-2 py-1 bg-white" value={startAt} onChange={(e) => setStartAt(e.target.value)} />
+                {!startAt && <span className="text-xs text-slate-400">{t('create.rightAway')}</span>}
+              </div>
+              <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600 mt-3">
+                <Timer size={16} className="text-slate-400" /> {t('create.ends')}
+                <select className="border rounded px-2 py-1 bg-white" value={endMode} onChange={(e) => setEndMode(e.target.value)}>
+                  <option value="none">{t('create.endsManual')}</option>
+                  <option value="duration">{t('create.endsDuration')}</option>
+                  <option value="end">{t('create.endsAt')}</option>
+                </select>
+                {endMode === 'duration' && <><input type="number" min={1} className="border rounded px-2 py-1 w-20" value={durationMin} onChange={(e) => setDurationMin(parseInt(e.target.value, 10) || 1)} /> {t('create.minutes')}</>}
+                {endMode === 'end' && <input type="datetime-local" className="border rounded px-2 py-1 bg-white" value={endAt} onChange={(e) => setEndAt(e.target.value)} />}
+              </div>
+              <label className="flex items-center gap-2 text-sm text-slate-600 mt-3">
+                {t('create.scoring')}
+                <select className="border rounded px-2 py-1 bg-white" value={scoring} onChange={(e) => setScoring(e.target.value)}>
+                  {Object.entries(SCORING).map(([key, label]) => <option key={key} value={key}>{t(label)}</option>)}
+                </select>
+              </label>
+            </div>
+            <div className="mt-4">
+              <div className="text-xs font-bold text-slate-500 uppercase tracking-wide mb-2">{t('create.whoCanJoin')}</div>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(VISIBILITY).map(([key, label]) => (
+                  <button key={key} onClick={() => setVisibility(key)} className={`text-sm px-3 py-1 rounded-full border transition ${visibility === key ? 'bg-indigo-50 border-indigo-400 text-indigo-700' : 'bg-white border-slate-200 text-slate-500 hover:border-slate-300'}`}>{t(label)}</button>
+                ))}
+              </div>
+              <p className="text-xs text-slate-400 mt-2">
+                {visibility === 'public' && t('create.publicHint')}
+                {visibility === 'unlisted' && t('create.unlistedHint')}
+                {visibility === 'private' && t('create.privateHint')}
+              </p>
+            </div>
             <div className="flex justify-between items-center mt-4">
-              <div className={`text-sm font-bold ${itemCount >= 10 && itemCount <= 20 ? 'text-green-600' : 'text-slate-400'}`}>{itemCount}/20 items</div>
-              <div className="flex gap-4"><button onClick={() => setView('home')} className="text-slate-500 hover:text-slate-800">Cancel</button><button onClick={handleCreateGame} disabled={isCreating || itemCount < 10 || itemCount > 20} className="bg-indigo-600 text-white font-bold py-2 px-6 rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition">Create</button></div>
+              <div className={`text-sm font-bold ${itemsInRange ? 'text-green-600' : 'text-slate-400'}`}>{t('create.itemCount', { count: itemCount, max: board.maxItems })}</div>
+              <div className="flex gap-4"><button onClick={() => navigate('home')} className="text-slate-500 hover:text-slate-800">{t('common.cancel')}</button><button onClick={handleCreateGame} disabled={isCreating || !profileLoaded || !itemsInRange || winPatterns.length === 0} className="bg-indigo-600 text-white font-bold py-2 px-6 rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition">{t('common.create')}</button></div>
             </div>
           </div>
         </div>
@@ -410,8 +1169,82 @@ export default function SocialBingoApp() {
     );
   }
 
+  if (!gameData) return <div className="w-full min-h-screen flex items-center justify-center font-sans">{errorMsg ? <div className="text-red-500 flex gap-2"><AlertCircle/> {t(errorMsg)}</div> : t('common.loading')}</div>;
+
+  // Partida privada sin ficha: solo se ve el formulario del código. En la pantalla de proyector
+  // también, salvo para quien ya juega en ella o ya ha dado el código.
+  const askCode = needsJoinCode(gameData, user.uid) && !myParticipantData && (view === 'screen' ? screenAccess !== gameId : canJoin(gameData, user.uid));
+  if (askCode) {
+    return (
+      <div className="w-full min-h-screen bg-slate-100 p-4 flex items-center justify-center font-sans">
+        <style>{`#root { width: 100%; max-width: 100%; margin: 0; padding: 0; text-align: left; } body { display: block; place-items: unset; min-width: 0; }`}</style>
+        {!participantsLoaded || (joinCode && !joinError) ? t('common.loading') : (
+          <form onSubmit={submitJoinCode} className="bg-white rounded-xl shadow-xl p-8 w-full max-w-sm text-center space-y-4">
+            <KeyRound size={32} className="mx-auto text-indigo-500" />
+            <h2 className="text-xl font-bold text-slate-800">{t('join.private')}</h2>
+            <p className="text-sm text-slate-500">{gameData.creatorName ? t('join.needsCodeFrom', { name: gameData.creatorName }) : t('join.needsCode')}</p>
+            <input autoFocus className="w-full border border-gray-300 rounded-lg px-4 py-2 text-center font-mono text-lg tracking-widest uppercase focus:outline-none focus:ring-2 focus:ring-indigo-500" value={codeInput} onChange={(e) => setCodeInput(e.target.value)} placeholder={t('join.placeholder')} />
+            {joinError && <div className="text-xs text-red-500 bg-red-50 p-2 rounded">{t(joinError)}</div>}
+            <div className="flex gap-4 justify-center">
+              <button type="button" onClick={() => navigate('home')} className="text-slate-500 hover:text-slate-800">{t('common.back')}</button>
+              <button type="submit" disabled={!codeInput.trim()} className="bg-emerald-500 hover:bg-emerald-600 text-white font-bold py-2 px-6 rounded-lg transition disabled:opacity-50">{t('common.join')}</button>
+            </div>
+          </form>
+        )}
+      </div>
+    );
+  }
+
+  // SCREEN
+  if (view === 'screen') return <SpectatorScreen game={gameData} participants={participants} events={events} joinUrl={gameUrl(gameId, 'play', hostJoinCode)} />;
+
   // PLAY
-  if (!gameData) return <div className="w-full min-h-screen flex items-center justify-center font-sans">{errorMsg ? <div className="text-red-500 flex gap-2"><AlertCircle/> {errorMsg}</div> : "Cargando..."}</div>;
+  const winner = gameData.winner;
+  const winningCells = winner?.cells || [];
+  const winnerPattern = WIN_PATTERNS[winner?.pattern] ? t(WIN_PATTERNS[winner.pattern]).toLowerCase() : 'bingo';
+  const myLayout = getPlayerLayout(gameData, myParticipantData);
+  const gameBoard = getBoard(gameData);
+  const freeIndex = getFreeIndex(gameBoard);
+  const status = getGameStatus(gameData);
+  const isHost = user.uid === gameData.creatorId;
+  // En cartones únicos las celdas ganadoras solo tienen sentido sobre el cartón del ganador
+  const myWinningCells = !gameData.uniqueCards || winner?.userId === user.uid ? winningCells : [];
+  // Los que ya no mandan latidos no cuentan en el total mostrado
+  const presentCount = participants.filter(p => isPresent(p, serverNow)).length;
+  const onlineCount = participants.filter(p => getPresence(p, serverNow) === 'online').length;
+  const visibleParticipants = hideOffline ? participants.filter(p => isPresent(p, serverNow)) : participants;
+  // Puntos en vivo: dependen de las marcas de todos, así que se recalculan con cada snapshot
+  const rarityScoring = getScoring(gameData) === 'rarity';
+  const standings = getStandings(gameData, participants);
+  const scores = Object.fromEntries(standings.map(s => [s.userId, s.score]));
+  const itemCounts = getItemCounts(gameData, participants);
+  const myCounted = getCountedIndices(gameData, myParticipantData);
+  const schedule = getSchedule(gameData);
+  const teams = getTeams(gameData);
+  const myTeam = getTeam(gameData, myParticipantData?.teamId);
+  const connection = getConnection(online, outbox, user.uid);
+  const unsyncedCells = getUnsyncedIndices(outbox, gameId, user.uid);
+
+  const renderParticipant = (p) => {
+    const layout = getPlayerLayout(gameData, p) || [];
+    const presence = getPresence(p, serverNow);
+    const checked = p.checkedIndices || [];
+    const counted = getCountedIndices(gameData, p);
+    const markStates = Object.fromEntries(checked.map(i => [i, getMarkState(gameData, p, i)]));
+    const won = winner && (winner.userId === p.userId || (winner.teamId && winner.teamId === p.teamId));
+    return (
+      <div key={p.userId} className="bg-white p-3 rounded-lg shadow-sm flex items-stretch gap-3 border border-slate-100 transition-all duration-500 ease-in-out">
+        <div className="w-24 flex-shrink-0"><MiniGrid layout={layout} cols={gameBoard.cols} checkedIndices={checked} markStates={markStates} winningIndices={won ? winningCells : []} className="h-full w-full" /></div>
+        <div className="flex-1 min-w-0 flex flex-col justify-center">
+          <div className="font-bold text-slate-700 truncate text-sm flex items-center gap-1">{winner?.userId === p.userId && <Trophy size={14} className="text-amber-500 flex-shrink-0" />}<PresenceDot presence={presence} /><span className="truncate">{p.name} {p.userId === user.uid && t('common.you')}</span>{isHost && p.userId !== user.uid && <button onClick={() => removeParticipant(p)} title={t('game.remove')} className="ml-auto p-0 bg-transparent border-0 text-slate-300 hover:text-red-500 flex-shrink-0"><X size={14} /></button>}</div>
+          <div className="text-xs text-slate-400 mt-1 flex items-center gap-1">{t('game.marked', { count: counted.length })}{rarityScoring && <span className="font-semibold text-indigo-500">· {scores[p.userId] || 0} {t('units.points', { count: scores[p.userId] || 0 })}</span>}{checked.length > counted.length && <span className="text-sky-500">· {t('game.unconfirmed', { count: checked.length - counted.length })}</span>}{presence !== 'online' && <span className={`ml-auto text-[10px] font-semibold uppercase px-1.5 rounded-full ${presence === 'idle' ? 'bg-amber-100 text-amber-700' : 'bg-slate-100 text-slate-500'}`}>{t(PRESENCE[presence])}</span>}</div>
+          <div className="w-full bg-slate-100 h-1.5 rounded-full mt-2 overflow-hidden"><div className="bg-indigo-500 h-full rounded-full transition-all duration-300" style={{ width: `${Math.min(100, (counted.length / countItems(layout)) * 100)}%` }} /></div>
+          <ReactionBar reactions={reactions.filter(r => r.targetUserId === p.userId)} myUid={user.uid} canReact={Boolean(myParticipantData)} onToggle={(emoji) => toggleReaction({ userId: p.userId }, emoji)} className="mt-2" />
+          {gameData.witnessesRequired > 0 && <WitnessList layout={layout} participant={p} game={gameData} myUid={user.uid} canVote={Boolean(myParticipantData) && canMark(gameData, markNow)} onVote={voteOnMark} />}
+        </div>
+      </div>
+    );
+  };
 
   return (
     <div className="w-full min-h-screen bg-slate-100 font-sans pb-20">
@@ -420,40 +1253,140 @@ export default function SocialBingoApp() {
       <header className="bg-white shadow-sm sticky top-0 z-10">
         <div className="max-w-7xl mx-auto px-4 py-3 flex justify-between items-center">
           <div className="flex flex-col">
-            <h1 className="font-bold text-slate-800 text-lg md:text-xl">BINGO</h1>
+            <h1 className="font-bold text-slate-800 text-lg md:text-xl flex items-center gap-2"><a href="/" onClick={(e) => { e.preventDefault(); navigate('home'); }} className="text-slate-800 hover:text-indigo-600">BINGO</a> {getGameStatuses(gameData).map(s => <StatusBadge key={s} status={s} />)}<ConnectionBadge connection={connection} />{schedule.end && phase === 'running' && <span className="text-xs font-mono font-semibold text-indigo-700 bg-indigo-50 px-2 py-0.5 rounded-full flex items-center gap-1"><Timer size={12} /> {formatClock(schedule.end - serverNow)}</span>}</h1>
             <div className="text-xs text-slate-500 flex items-center gap-1 cursor-pointer hover:text-indigo-600" onClick={copyLink}>
-               <LinkIcon size={10} /> Copy direct link
+               <LinkIcon size={10} /> {t('game.copyLink')}
+            </div>
+            <div className="text-xs text-slate-500 flex items-center gap-1 cursor-pointer hover:text-indigo-600" onClick={openScreen}>
+               <Monitor size={10} /> {t('game.projector')}
             </div>
           </div>
           <div className="flex items-center gap-2">
-            {isEditingName ? <input autoFocus className="border rounded px-2 py-1 text-sm w-32" value={newName} onChange={(e) => setNewName(e.target.value)} onBlur={updateName} onKeyDown={(e) => e.key === 'Enter' && updateName()} /> : <button onClick={() => setIsEditingName(true)} className="flex flex-col items-end group"><span className="text-xs text-slate-400">You are</span><span className="font-bold flex items-center gap-1 group-hover:underline">{myParticipantData?.name || '...'} <Edit2 size={12}/></span></button>}
+            <LanguageSwitcher locale={locale} onChange={changeLocale} />
+            {myParticipantData && teams.length > 0 && (
+              <select className="border rounded px-2 py-1 text-sm bg-white" title={t('game.yourTeam')} value={myParticipantData.teamId || ''} disabled={!teamsOpen} onChange={(e) => changeTeam(e.target.value)}>
+                {!myTeam && <option value="">{t('common.noTeam')}</option>}
+                {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+              </select>
+            )}
+            {isEditingName ? <input autoFocus className="border rounded px-2 py-1 text-sm w-32" value={newName} onChange={(e) => setNewName(e.target.value)} onBlur={updateName} onKeyDown={(e) => e.key === 'Enter' && updateName()} /> : <button onClick={() => setIsEditingName(true)} className="flex flex-col items-end group"><span className="text-xs text-slate-400">{t('game.youAre')}</span><span className="font-bold flex items-center gap-1 group-hover:underline">{myParticipantData?.name || '...'} {hasUnsyncedName(outbox, gameId, user.uid) && <span title={t('connection.unsynced')} className="text-sky-500"><CloudUpload size={12} /></span>}<Edit2 size={12}/></span></button>}
           </div>
         </div>
       </header>
       <main className="w-full max-w-7xl mx-auto p-2 md:p-6 transition-all duration-300">
-        <div className="bg-white rounded-xl shadow-lg p-1 md:p-4 mb-8 overflow-hidden">
-          <div className="grid grid-cols-6 gap-[1px] bg-slate-200 border-2 border-slate-200" style={{ minWidth: 'min-content' }}>
-            {gameData.layout.map((item, idx) => {
-              if (item === null) return <div key={idx} className="bg-slate-100 aspect-[4/3] relative flex items-center justify-center opacity-50 cursor-default"><div className="w-2 h-2 rounded-full bg-slate-300"></div></div>;
-              const isChecked = myParticipantData?.checkedIndices?.includes(idx);
-              return <div key={idx} onClick={() => toggleCell(idx)} className={`relative aspect-[4/3] p-1 md:p-2 flex flex-col items-center justify-center text-center cursor-pointer transition-all duration-200 ${isChecked ? 'bg-emerald-50 text-emerald-900' : 'bg-white hover:bg-slate-50 text-slate-700'}`}><span className="text-[10px] md:text-sm lg:text-base font-medium leading-tight select-none break-words w-full">{item}</span>{isChecked && <div className="absolute top-1 right-1 md:top-2 md:right-2 text-emerald-500"><CheckSquare size={16} className="md:w-6 md:h-6" /></div>}</div>;
-            })}
+        {isHost && <HostPanel finished={status === 'finished'} joinsLocked={isJoinLocked(gameData)} markingPaused={isMarkingPaused(gameData)} joinCode={hostJoinCode} onSetStatus={setGameStatus} onSetControls={setGameControls} onReset={resetBoards} onPrint={printCards} />}
+        {!myParticipantData && !canJoin(gameData, user.uid) && (
+          <div className="bg-slate-200 text-slate-600 rounded-xl p-3 mb-4 text-sm text-center">{t('game.notAccepting')}</div>
+        )}
+        {myParticipantData && status !== 'finished' && isMarkingPaused(gameData) && (
+          <div className="bg-sky-100 text-sky-700 rounded-xl p-3 mb-4 text-sm text-center flex items-center justify-center gap-2"><Pause size={16} /> {t('game.paused')}</div>
+        )}
+        {phase === 'upcoming' && (
+          <div className="bg-indigo-600 text-white rounded-xl p-4 mb-4 text-center">
+            <div className="text-xs uppercase tracking-wide opacity-80">{t('game.startsIn')}</div>
+            <div className="text-4xl font-extrabold font-mono">{formatClock(schedule.start - serverNow)}</div>
+            <div className="text-xs opacity-80">{t('game.opensAt', { time: formatTime(schedule.start) })}</div>
+          </div>
+        )}
+        {phase === 'over' && status === 'finished' && gameData.standings && resultsClosedFor !== gameId && (
+          <ResultsSummary standings={gameData.standings} myUid={user.uid} unit={rarityScoring ? 'points' : 'marks'} onClose={() => setResultsClosedFor(gameId)} />
+        )}
+        {status === 'finished' && !winner && (
+          <div className="bg-slate-200 text-slate-600 rounded-xl p-3 mb-4 text-sm text-center flex items-center justify-center gap-2"><Flag size={16} /> {t('game.ended')}</div>
+        )}
+        {winner && (
+          <div className="bg-amber-400 text-amber-950 rounded-xl shadow-lg p-4 mb-4 flex items-center justify-center gap-3 text-center">
+            <Trophy size={28} />
+            <div>
+              <div className="text-2xl md:text-3xl font-extrabold">BINGO!</div>
+              <div className="text-sm font-medium">{winner.teamName
+                ? t(winner.teamId === myParticipantData?.teamId ? 'winner.myTeam' : 'winner.team', { team: winner.teamName, name: winner.name, pattern: winnerPattern })
+                : winner.userId === user.uid ? t('winner.you') : t('winner.called', { name: winner.name, pattern: winnerPattern })}</div>
+            </div>
+          </div>
+        )}
+        {myLayout && (
+          <div className="flex justify-end gap-2 mb-2">
+            <button disabled={isExporting} onClick={() => exportMyCard('png')} className="flex items-center gap-1 bg-white text-xs font-semibold px-3 py-1.5 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 disabled:opacity-40"><ImageDown size={14} /> {t('game.png')}</button>
+            <button disabled={isExporting} onClick={() => exportMyCard('pdf')} className="flex items-center gap-1 bg-white text-xs font-semibold px-3 py-1.5 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 disabled:opacity-40"><FileDown size={14} /> {t('game.pdf')}</button>
+          </div>
+        )}
+        <div className="lg:flex lg:items-start lg:gap-4 mb-8">
+          <div className="bg-white rounded-xl shadow-lg p-1 md:p-4 mb-8 lg:mb-0 lg:flex-1 min-w-0 overflow-hidden">
+            <div className="grid gap-[1px] bg-slate-200 border-2 border-slate-200" style={{ minWidth: 'min-content', ...gridColumns(gameBoard.cols) }}>
+              {(myLayout || []).map((item, idx) => {
+                if (idx === freeIndex) return <div key={idx} className="bg-amber-50 aspect-[4/3] flex items-center justify-center text-amber-600 font-extrabold text-xs md:text-base cursor-default select-none">{t('common.free')}</div>;
+                if (item === null) return <div key={idx} className="bg-slate-100 aspect-[4/3] relative flex items-center justify-center opacity-50 cursor-default"><div className="w-2 h-2 rounded-full bg-slate-300"></div></div>;
+                const isChecked = myParticipantData?.checkedIndices?.includes(idx);
+                const isWinning = myWinningCells.includes(idx);
+                const markState = isChecked ? getMarkState(gameData, myParticipantData, idx) : null;
+                const { color, icon: MarkIcon } = isWinning ? CELL_STYLES.winning : CELL_STYLES[markState] || CELL_STYLES.empty;
+                const cellReactions = reactions.filter(r => r.item === item);
+                const placement = Math.floor(idx / gameBoard.cols) < gameBoard.rows / 2 ? 'down' : 'up';
+                // Lo que vale (o valdría) la casilla contándome entre quienes la tienen
+                const cellValue = rarityScoring && getItemValue(gameData, (itemCounts[item] || 0) + (myCounted.includes(idx) ? 0 : 1), participants.length);
+                return <div key={idx} onClick={() => toggleCell(idx)} title={markState && markState !== 'confirmed' ? t(MARK_STATE[markState]) : undefined} className={`relative aspect-[4/3] p-1 md:p-2 flex flex-col items-center justify-center text-center transition-all duration-200 ${canMark(gameData, markNow) ? 'cursor-pointer' : 'cursor-not-allowed'} ${color}`}>{rarityScoring && <span className="absolute top-0.5 left-1 text-[9px] md:text-xs font-bold opacity-60 select-none">+{cellValue}</span>}<span className="text-[10px] md:text-sm lg:text-base font-medium leading-tight select-none break-words w-full">{item}</span>{isChecked && <div className="absolute top-1 right-1 md:top-2 md:right-2"><MarkIcon size={16} className="md:w-6 md:h-6" /></div>}<ReactionBar reactions={cellReactions} myUid={user.uid} canReact={Boolean(myParticipantData)} onToggle={(emoji) => toggleReaction({ item }, emoji)} compact placement={placement} className="absolute bottom-0.5 left-0.5" />{unsyncedCells.includes(idx) && <span title={t('connection.unsynced')} className="absolute bottom-0.5 right-0.5 md:bottom-1 md:right-1 text-sky-600 bg-white/80 rounded-full p-0.5"><CloudUpload size={12} /></span>}</div>;
+              })}
+            </div>
           </div>
+          {/* En móvil el chat es una hoja inferior que se abre con el botón flotante */}
+          <aside className={`${chatOpen ? 'fixed' : 'hidden'} inset-x-0 bottom-0 h-[60vh] z-30 p-2 lg:p-0 lg:block lg:w-80 lg:flex-shrink-0 lg:h-[calc(100vh-7rem)] lg:sticky lg:top-20`}>
+            <ChatPanel messages={messages} myUid={user.uid} canSend={Boolean(myParticipantData)} isHost={isHost} onSend={sendMessage} onDelete={deleteMessage} onClose={toggleChat} className="h-full" />
+          </aside>
         </div>
+        {!chatOpen && (
+          <button onClick={toggleChat} className="lg:hidden fixed bottom-4 right-4 z-30 bg-indigo-600 text-white rounded-full p-3 shadow-lg border-0 flex items-center gap-1">
+            <MessageCircle size={20} />
+            {messages.length > seenMessages && <span className="text-xs font-bold bg-red-500 rounded-full px-1.5">{messages.length - seenMessages}</span>}
+          </button>
+        )}
         <div className="max-w-5xl mx-auto">
-          <h3 className="text-slate-500 font-bold mb-4 flex items-center gap-2"><Users size={18} /> Participants ({participants.length})</h3>
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-            {participants.map((p) => (
-              <div key={p.userId} className="bg-white p-3 rounded-lg shadow-sm flex items-stretch gap-3 border border-slate-100 transition-all duration-500 ease-in-out">
-                <div className="w-24 flex-shrink-0"><MiniGrid layout={gameData.layout} checkedIndices={p.checkedIndices || []} className="h-full w-full" /></div>
-                <div className="flex-1 min-w-0 flex flex-col justify-center">
-                  <div className="font-bold text-slate-700 truncate text-sm">{p.name} {p.userId === user.uid && '(Tú)'}</div>
-                  <div className="text-xs text-slate-400 mt-1 flex items-center gap-1">{(p.checkedIndices || []).length} marcados</div>
-                  <div className="w-full bg-slate-100 h-1.5 rounded-full mt-2 overflow-hidden"><div className="bg-indigo-500 h-full rounded-full transition-all duration-300" style={{ width: `${Math.min(100, ((p.checkedIndices || []).length / (TOTAL_CELLS - gameData.layout.filter(x=>x===null).length)) * 100)}%` }} /></div>
-                </div>
-              </div>
-            ))}
+          {status === 'finished' && events.length > 0 && !showReplay && (
+            <button onClick={() => setShowReplay(true)} className="mb-4 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-bold py-2 px-4 rounded-lg flex items-center gap-2"><Play size={16} /> {t('game.replay')}</button>
+          )}
+          {showReplay && (
+            <ReplayPanel
+              events={events}
+              cols={gameBoard.cols}
+              layoutFor={(b) => gameData.uniqueCards ? (b.layout || participants.find(p => p.userId === b.userId)?.layout) : gameData.layout}
+              onClose={() => setShowReplay(false)}
+            />
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-8">
+            <Leaderboard standings={standings} myUid={user.uid} unit={rarityScoring ? 'points' : 'marks'} final={status === 'finished' && Boolean(gameData.standings)} />
+            <ActivityFeed events={events} />
           </div>
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h3 className="text-slate-500 font-bold flex items-center gap-2"><Users size={18} /> {t('game.participants', { count: presentCount })} <span className="text-xs font-semibold text-emerald-700 bg-emerald-100 px-2 py-0.5 rounded-full flex items-center gap-1"><span className="w-1.5 h-1.5 rounded-full bg-emerald-500" /> {t('game.online', { count: onlineCount })}</span></h3>
+            <label className="text-xs text-slate-500 flex items-center gap-1 cursor-pointer"><input type="checkbox" className="accent-indigo-600" checked={hideOffline} onChange={(e) => setHideOffline(e.target.checked)} /> {t('game.hideLeft')}</label>
+          </div>
+          {teams.length > 0 ? (
+            <div className="space-y-6">
+              {groupByTeam(gameData, visibleParticipants).map(({ team, members }) => {
+                // El progreso del equipo cuenta a todos sus miembros, también a los ocultos
+                const teamIndices = team ? getTeamIndices(gameData, participants, team.id) : [];
+                return (
+                  <section key={team?.id || 'none'}>
+                    <div className="flex items-center gap-3 mb-2">
+                      {team && <div className="w-16 flex-shrink-0"><MiniGrid layout={gameData.layout || []} cols={gameBoard.cols} checkedIndices={teamIndices} winningIndices={winner?.teamId === team.id ? winningCells : []} className="w-full" /></div>}
+                      <div className="flex-1 min-w-0">
+                        <div className="font-bold text-slate-700 flex items-center gap-1">{team && winner?.teamId === team.id && <Trophy size={14} className="text-amber-500" />}{team ? team.name : t('common.noTeam')} <span className="text-xs text-slate-400 font-normal">({members.length})</span></div>
+                        {team && (
+                          <>
+                            <div className="text-xs text-slate-400">{t('game.teamMarked', { count: teamIndices.length })}</div>
+                            <div className="w-full max-w-xs bg-slate-200 h-1.5 rounded-full mt-1 overflow-hidden"><div className="bg-emerald-500 h-full rounded-full transition-all duration-300" style={{ width: `${Math.min(100, (teamIndices.length / countItems(gameData.layout || [])) * 100)}%` }} /></div>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">{members.map(renderParticipant)}</div>
+                  </section>
+                );
+              })}
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">{visibleParticipants.map(renderParticipant)}</div>
+          )}
         </div>
       </main>
     </div>
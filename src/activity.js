@@ -0,0 +1,59 @@
+// --- ACTIVIDAD ---
+// Cada partida tiene un registro `events_{gameId}`; estas funciones lo interpretan
+// para el feed en vivo y para reconstruir los cartones en la repetición.
+
+import { t } from './i18n';
+
+export const EVENT_TYPES = ['join', 'toggle', 'rename', 'win', 'reset', 'remove', 'team'];
+
+export const timeAgo = (ms, now = Date.now()) => {
+  const seconds = Math.max(0, Math.round((now - ms) / 1000));
+  if (seconds < 45) return t('time.justNow');
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return t('time.minutesAgo', { count: minutes });
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return t('time.hoursAgo', { count: hours });
+  return t('time.daysAgo', { count: Math.round(hours / 24) });
+};
+
+export const describeEvent = (event) => {
+  switch (event.type) {
+    case 'join': return t('activity.join', { name: event.name });
+    case 'toggle': return t(event.checked ? 'activity.marked' : 'activity.unmarked', { name: event.name, item: event.item });
+    case 'rename': return t('activity.rename', { oldName: event.oldName, name: event.name });
+    case 'win': return event.teamName ? t('activity.winTeam', { name: event.name, team: event.teamName }) : t('activity.win', { name: event.name });
+    case 'reset': return t('activity.reset', { name: event.name });
+    case 'remove': return t('activity.remove', { name: event.name });
+    case 'team': return t('activity.team', { name: event.name, team: event.teamName });
+    default: return event.type;
+  }
+};
+
+// Estado de los jugadores tras aplicar los `step` primeros eventos.
+// Los toggles guardan `checkedIndices` completo, así que basta con quedarse con el último.
+export const replayBoards = (events, step) => {
+  const boards = {};
+  events.slice(0, step).forEach(event => {
+    const prev = boards[event.userId];
+    switch (event.type) {
+      case 'join':
+        boards[event.userId] = { userId: event.userId, name: event.name, layout: event.layout || null, checkedIndices: [] };
+        break;
+      case 'toggle':
+        boards[event.userId] = { userId: event.userId, name: event.name, layout: null, ...prev, checkedIndices: event.checkedIndices || [] };
+        break;
+      case 'rename':
+        if (prev) prev.name = event.name;
+        break;
+      case 'reset':
+        Object.values(boards).forEach(b => { b.checkedIndices = []; });
+        break;
+      case 'remove':
+        delete boards[event.userId];
+        break;
+      default:
+        break;
+    }
+  });
+  return boards;
+};
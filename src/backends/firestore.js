@@ -0,0 +1,437 @@
+import { initializeApp } from 'firebase/app';
+import { 
+  getAuth, 
+  signInAnonymously, 
+  onAuthStateChanged,
+  signInWithCustomToken,
+  connectAuthEmulator,
+  GoogleAuthProvider,
+  linkWithPopup,
+  signInWithPopup,
+  signOut as firebaseSignOut
+} from 'firebase/auth';
+import { 
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  collection, 
+  doc, 
+  setDoc, 
+  addDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  increment,
+  deleteField,
+  onSnapshot, 
+  query, 
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  runTransaction,
+  serverTimestamp 
+} from 'firebase/firestore';
+import { normalizeJoinCode, wrongJoinCode, emptyMark, getSchedule } from '../bingo';
+
+// --- BACKEND FIRESTORE ---
+// Todo vive bajo `artifacts/{appId}/public/data/...`, como en la versión original.
+// Las reglas de seguridad (firestore.rules) protegen el código de las partidas privadas.
+
+// Los Timestamp de Firestore se convierten a milisegundos para que la app
+// trabaje igual con cualquier backend.
+const toPlain = (value) => {
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+  }
+  return value;
+};
+
+const readSnap = (snap) => toPlain(snap.data({ serverTimestamps: 'estimate' }));
+
+const toUser = (u) => ({ uid: u.uid, isAnonymous: u.isAnonymous, email: u.email || null });
+
+// Partidas leídas por lote al recorrer el buscador y lotes como mucho por búsqueda
+const SCAN_BATCH = 30;
+const MAX_SCAN_BATCHES = 5;
+
+// `authEmulator` (p.ej. http://127.0.0.1:9099) apunta la autenticación al emulador local de Firebase
+export const createFirestoreBackend = (firebaseConfig, appId, { authEmulator } = {}) => {
+  const app = initializeApp(firebaseConfig);
+  const auth = getAuth(app);
+  if (authEmulator) connectAuthEmulator(auth, authEmulator, { disableWarnings: true });
+  // Caché persistente: la última partida abierta y sus participantes se siguen viendo sin conexión
+  const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+  let emitUser = () => {};
+
+  const gamesRef = () => collection(db, 'artifacts', appId, 'public', 'data', 'games');
+  const gameRef = (gameId) => doc(db, 'artifacts', appId, 'public', 'data', 'games', gameId);
+  const participantsRef = (gameId) => collection(db, 'artifacts', appId, 'public', 'data', `participants_${gameId}`);
+  const participantRef = (gameId, uid) => doc(db, 'artifacts', appId, 'public', 'data', `participants_${gameId}`, uid);
+  const eventsRef = (gameId) => collection(db, 'artifacts', appId, 'public', 'data', `events_${gameId}`);
+  const chatRef = (gameId) => collection(db, 'artifacts', appId, 'public', 'data', `chat_${gameId}`);
+  const reactionsRef = (gameId) => collection(db, 'artifacts', appId, 'public', 'data', `reactions_${gameId}`);
+  const profileRef = (uid) => doc(db, 'artifacts', appId, 'public', 'data', 'profiles', uid);
+  const clockRef = (uid) => doc(db, 'artifacts', appId, 'public', 'data', 'clock', uid);
+  // Código de una partida privada: solo lo lee su creador
+  const secretRef = (gameId) => doc(db, 'artifacts', appId, 'public', 'data', 'secrets', gameId);
+  // Prueba de que un jugador conoce el código: las reglas solo dejan escribirla si coincide
+  const accessRef = (gameId, uid) => doc(db, 'artifacts', appId, 'public', 'data', `access_${gameId}`, uid);
+
+  const enterCode = async (gameId, uid, joinCode) => {
+    try {
+      await setDoc(accessRef(gameId, uid), { joinCode: normalizeJoinCode(joinCode) });
+    } catch (err) {
+      if (err.code === 'permission-denied') throw wrongJoinCode();
+      throw err;
+    }
+  };
+
+  return {
+    name: 'firestore',
+
+    // Con token del entorno se entra siempre con él. Si no, se reutiliza la sesión guardada
+    // (anónima o enlazada) y solo se crea un anónimo nuevo cuando no hay ninguna.
+    signIn(onUser, onError) {
+      const customToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+      emitUser = onUser;
+      const doAuth = async () => {
+        try {
+          if (customToken) {
+            await signInWithCustomToken(auth, customToken);
+          } else {
+            await signInAnonymously(auth);
+          }
+        } catch (err) {
+          onError(err);
+        }
+      };
+      if (customToken) doAuth();
+      return onAuthStateChanged(auth, (u) => {
+        if (u) onUser(toUser(u));
+        else if (customToken) onUser(null);
+        else doAuth();
+      });
+    },
+
+    // Enlaza el anónimo actual con Google: mismo uid, así que se conservan todas sus fichas.
+    // Si esa cuenta ya tiene jugador falla con `auth/credential-already-in-use`.
+    async linkAccount() {
+      const { user } = await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+      // Enlazar no dispara onAuthStateChanged
+      emitUser(toUser(user));
+    },
+
+    // Entrar con una cuenta ya enlazada (otro dispositivo); el anónimo de este navegador se abandona
+    async signInWithAccount() {
+      await signInWithPopup(auth, new GoogleAuthProvider());
+    },
+
+    // Tras cerrar sesión onAuthStateChanged recibe null y se vuelve a entrar como anónimo
+    async signOut() {
+      await firebaseSignOut(auth);
+    },
+
+    // Diferencia entre el reloj del servidor y el local: se escribe un serverTimestamp y se compara
+    // con el punto medio del viaje de ida y vuelta
+    async getServerOffset(uid) {
+      const sent = Date.now();
+      await setDoc(clockRef(uid), { at: serverTimestamp() });
+      const snap = await getDoc(clockRef(uid));
+      const received = Date.now();
+      return snap.data().at.toMillis() - (sent + received) / 2;
+    },
+
+    subscribeProfile(uid, onProfile, onError) {
+      return onSnapshot(profileRef(uid), (snap) => onProfile(snap.exists() ? readSnap(snap) : null), onError);
+    },
+
+    async saveProfile(uid, profile) {
+      await setDoc(profileRef(uid), profile, { merge: true });
+    },
+
+    // Firestore no busca texto, así que se recorren por fecha las públicas (o las mías con `mine`) y `match`
+    // filtra aquí. Cada búsqueda lee como mucho MAX_SCAN_BATCHES lotes y, si no ha llenado la página,
+    // devuelve lo que lleve con el cursor para seguir. `cursor` es el último documento ya recorrido
+    // (null = no hay más); con `signal` abortado se deja de leer. Los índices están en firestore.indexes.json.
+    // Las partidas anteriores a `visibility` y `playerIds` ya no salen aquí (sí en listMyGames).
+    async listGames({ uid, mine = false, pageSize, cursor = null, match = () => true, signal }) {
+      const filter = mine ? where('playerIds', 'array-contains', uid) : where('visibility', '==', 'public');
+      const games = [];
+      let last = cursor;
+      for (let batch = 0; batch < MAX_SCAN_BATCHES && !signal?.aborted; batch++) {
+        const snapshot = await getDocs(query(gamesRef(), filter, orderBy('createdAt', 'desc'), ...(last ? [startAfter(last)] : []), limit(SCAN_BATCH)));
+        for (const d of snapshot.docs) {
+          const game = { id: d.id, ...readSnap(d) };
+          if (match(game)) {
+            if (games.length === pageSize) return { games, cursor: last };
+            games.push(game);
+          }
+          last = d;
+        }
+        if (snapshot.docs.length < SCAN_BATCH) return { games, cursor: null };
+      }
+      return { games, cursor: last };
+    },
+
+    // Partidas en las que he entrado. Las anteriores a `playerIds` solo aparecen si las creé yo.
+    async listMyGames(uid) {
+      const [joined, created] = await Promise.all([
+        getDocs(query(gamesRef(), where('playerIds', 'array-contains', uid))),
+        getDocs(query(gamesRef(), where('creatorId', '==', uid)))
+      ]);
+      const games = new Map();
+      [...joined.docs, ...created.docs].forEach((d) => games.set(d.id, { id: d.id, ...readSnap(d) }));
+      return [...games.values()].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    },
+
+    async getParticipant(gameId, uid) {
+      const snap = await getDoc(participantRef(gameId, uid));
+      return snap.exists() ? readSnap(snap) : null;
+    },
+
+    // `joinCode` (solo en privadas) va a su documento aparte en el mismo batch que la partida
+    async createGame(gameId, game, creator, joinCode = null) {
+      const batch = writeBatch(db);
+      batch.set(gameRef(gameId), { ...game, createdAt: serverTimestamp() });
+      if (joinCode) batch.set(secretRef(gameId), { creatorId: game.creatorId, joinCode });
+      batch.set(participantRef(gameId, creator.userId), { ...creator, present: true, lastActive: serverTimestamp(), lastSeen: serverTimestamp() });
+      await batch.commit();
+    },
+
+    async getJoinCode(gameId) {
+      const snap = await getDoc(secretRef(gameId));
+      return snap.exists() ? snap.data().joinCode : null;
+    },
+
+    enterCode,
+
+    subscribeGame(gameId, onGame, onError) {
+      return onSnapshot(gameRef(gameId), (snap) => onGame(snap.exists() ? { id: snap.id, ...readSnap(snap) } : null), onError);
+    },
+
+    subscribeParticipants(gameId, onParticipants, onError) {
+      return onSnapshot(participantsRef(gameId), (snapshot) => {
+        const parts = [];
+        snapshot.forEach((d) => parts.push(readSnap(d)));
+        onParticipants(parts);
+      }, onError);
+    },
+
+    // Solo crea la ficha si no existe (para no pisar al creador). Devuelve si la ha creado.
+    // En partidas privadas antes se deja la prueba del código; sin ella las reglas rechazan la ficha.
+    async joinGame(gameId, participant, joinCode) {
+      if (joinCode) await enterCode(gameId, participant.userId, joinCode);
+      const ref = participantRef(gameId, participant.userId);
+      return runTransaction(db, async (tx) => {
+        const gameSnap = await tx.get(gameRef(gameId));
+        const snap = await tx.get(ref);
+        if (!gameSnap.exists() || snap.exists()) return false;
+        tx.set(ref, { ...participant, present: true, lastActive: serverTimestamp(), lastSeen: serverTimestamp() });
+        tx.update(gameRef(gameId), { participantCount: increment(1), playerIds: arrayUnion(participant.userId) });
+        return true;
+      });
+    },
+
+    // `changes` ({ índice: true (marcada) | false (desmarcada) }) se escribe casilla a casilla: en modo testigos
+    // (`witnessed`) las marcas nuevas empiezan sin votos y las quitadas pierden los suyos, sin tocar
+    // los votos del resto. Marcar y desmarcar van en dos escrituras del mismo batch porque Firestore
+    // no admite arrayUnion y arrayRemove sobre el mismo campo a la vez.
+    // `scoreReachedAt` (desempate de la clasificación) solo avanza cuando sube el marcador: al marcar
+    // sin testigos; con testigos lo hace voteMark al confirmarse la marca.
+    async setChecks(gameId, uid, changes, witnessed = false) {
+      const ref = participantRef(gameId, uid);
+      const entries = Object.entries(changes).map(([i, on]) => [Number(i), on]);
+      const batch = writeBatch(db);
+      [true, false].forEach(on => {
+        const indices = entries.filter(([, value]) => value === on).map(([i]) => i);
+        if (indices.length === 0) return;
+        const marks = witnessed ? Object.fromEntries(indices.map(i => [`marks.${i}`, on ? emptyMark() : deleteField()])) : {};
+        batch.update(ref, {
+          checkedIndices: on ? arrayUnion(...indices) : arrayRemove(...indices),
+          ...marks,
+          ...(on && !witnessed ? { scoreReachedAt: serverTimestamp() } : {}),
+          lastActive: serverTimestamp(),
+          markedAt: serverTimestamp()
+        });
+      });
+      await batch.commit();
+    },
+
+    // Voto de un testigo sobre la marca `index` de otro jugador; se ignora si la marca ya no existe.
+    // El voto que completa las confirmaciones sube el marcador del dueño (`scoreReachedAt`).
+    voteMark(gameId, targetUid, index, witnessUid, verdict) {
+      const ref = participantRef(gameId, targetUid);
+      return runTransaction(db, async (tx) => {
+        const gameSnap = await tx.get(gameRef(gameId));
+        const snap = await tx.get(ref);
+        if (!gameSnap.exists() || !snap.exists() || !(snap.data().checkedIndices || []).includes(index)) return;
+        const confirm = verdict === 'confirm';
+        const required = gameSnap.data().witnessesRequired || 0;
+        const confirmedBy = snap.data().marks?.[index]?.confirmedBy || [];
+        const confirmsNow = confirm && !confirmedBy.includes(witnessUid) && confirmedBy.length + 1 === required;
+        tx.update(ref, {
+          [`marks.${index}.confirmedBy`]: confirm ? arrayUnion(witnessUid) : arrayRemove(witnessUid),
+          [`marks.${index}.disputedBy`]: confirm ? arrayRemove(witnessUid) : arrayUnion(witnessUid),
+          ...(confirmsNow ? { scoreReachedAt: serverTimestamp() } : {})
+        });
+      });
+    },
+
+    async setTeam(gameId, uid, teamId) {
+      await updateDoc(participantRef(gameId, uid), { teamId });
+    },
+
+    // Latido de presencia; no toca `lastActive`, que sigue reflejando la última jugada.
+    // `present` dice si la ficha cuenta en `participantCount` y solo cambia aquí y en expirePresence,
+    // dentro de la transacción, para que cada entrada o salida sume o reste una sola vez.
+    // Si el anfitrión ya ha borrado la ficha no se escribe nada.
+    heartbeat(gameId, uid, { idle = false, left = false } = {}) {
+      const ref = participantRef(gameId, uid);
+      return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists()) return;
+        const wasPresent = snap.data().present !== false;
+        tx.update(ref, { lastSeen: serverTimestamp(), idle, left, present: !left });
+        if (wasPresent === left) tx.update(gameRef(gameId), { participantCount: increment(left ? -1 : 1) });
+      });
+    },
+
+    // Da de baja a quien dejó de latir sin despedirse (`lastSeen` anterior a `staleBefore`, hora del servidor)
+    expirePresence(gameId, uid, staleBefore) {
+      const ref = participantRef(gameId, uid);
+      return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists()) return;
+        const { present, left, lastSeen } = readSnap(snap);
+        if (present === false || (!left && lastSeen && lastSeen >= staleBefore)) return;
+        tx.update(ref, { present: false });
+        tx.update(gameRef(gameId), { participantCount: increment(-1) });
+      });
+    },
+
+    async rename(gameId, uid, name, isCreator) {
+      await setDoc(participantRef(gameId, uid), { name, lastActive: serverTimestamp() }, { merge: true });
+      // Si soy el creador, actualizo el nombre en la partida también (si falla no es crítico para la UI)
+      if (isCreator) {
+        updateDoc(gameRef(gameId), { creatorName: name })
+          .catch(err => console.error("Error sincronizando nombre creador:", err));
+      }
+    },
+
+    // `decide(game, participant, members)` devuelve los datos del ganador o null; se evalúa dentro
+    // de la transacción para que gane el primer reclamo válido. `memberIds` son los compañeros de
+    // equipo del que reclama: sus fichas también se leen en la transacción.
+    claimWinner(gameId, uid, memberIds, decide) {
+      return runTransaction(db, async (tx) => {
+        const gameSnap = await tx.get(gameRef(gameId));
+        const partSnap = await tx.get(participantRef(gameId, uid));
+        if (!gameSnap.exists() || !partSnap.exists()) return null;
+        // Las transacciones no admiten consultas: las fichas del equipo se leen una a una
+        const memberSnaps = await Promise.all(memberIds.filter(id => id !== uid).map(id => tx.get(participantRef(gameId, id))));
+        const members = memberSnaps.filter(s => s.exists()).map(readSnap);
+        const winner = decide(readSnap(gameSnap), readSnap(partSnap), members);
+        if (!winner) return null;
+        tx.update(gameRef(gameId), { winner: { ...winner, claimedAt: serverTimestamp() } });
+        return winner;
+      });
+    },
+
+    async logEvent(gameId, event) {
+      await addDoc(eventsRef(gameId), { ...event, at: serverTimestamp() });
+    },
+
+    subscribeEvents(gameId, onEvents, onError) {
+      return onSnapshot(query(eventsRef(gameId), orderBy('at', 'asc')), (snapshot) => {
+        const events = [];
+        snapshot.forEach((d) => events.push({ id: d.id, ...readSnap(d) }));
+        onEvents(events);
+      }, onError);
+    },
+
+    async sendMessage(gameId, message) {
+      await addDoc(chatRef(gameId), { ...message, at: serverTimestamp() });
+    },
+
+    async deleteMessage(gameId, messageId) {
+      await deleteDoc(doc(chatRef(gameId), messageId));
+    },
+
+    subscribeMessages(gameId, onMessages, onError) {
+      return onSnapshot(query(chatRef(gameId), orderBy('at', 'asc')), (snapshot) => {
+        const messages = [];
+        snapshot.forEach((d) => messages.push({ id: d.id, ...readSnap(d) }));
+        onMessages(messages);
+      }, onError);
+    },
+
+    // Una reacción por (autor, destino, emoji): el id lo decide la app y `null` la quita
+    async setReaction(gameId, reactionId, reaction) {
+      const ref = doc(reactionsRef(gameId), reactionId);
+      if (reaction) await setDoc(ref, { ...reaction, at: serverTimestamp() });
+      else await deleteDoc(ref);
+    },
+
+    subscribeReactions(gameId, onReactions, onError) {
+      return onSnapshot(reactionsRef(gameId), (snapshot) => {
+        const reactions = [];
+        snapshot.forEach((d) => reactions.push({ id: d.id, ...readSnap(d) }));
+        onReactions(reactions);
+      }, onError);
+    },
+
+    // `finishedAt` y la clasificación final (`standings`) se guardan al terminar; al reabrir se borran
+    async setStatus(gameId, status, standings = null) {
+      const finished = status === 'finished';
+      await updateDoc(gameRef(gameId), { status, finishedAt: finished ? serverTimestamp() : null, standings: finished ? standings : null });
+    },
+
+    // `controls`: { joinsLocked, markingPaused }, cada uno por separado; no toca `status`
+    async setControls(gameId, controls) {
+      await updateDoc(gameRef(gameId), controls);
+    },
+
+    // Cierre automático al acabarse el tiempo: lo pueden intentar todos los clientes a la vez,
+    // pero solo el primero escribe. El reloj del cliente no decide: se deja una marca de tiempo del
+    // servidor (como en getServerOffset) y la transacción la compara con el fin programado, que es
+    // también el `finishedAt` que se guarda. Devuelve false si aún no ha llegado la hora o ya estaba cerrada.
+    async finishGame(gameId, uid, standings) {
+      await setDoc(clockRef(uid), { at: serverTimestamp() });
+      return runTransaction(db, async (tx) => {
+        const clockSnap = await tx.get(clockRef(uid));
+        const snap = await tx.get(gameRef(gameId));
+        if (!snap.exists() || snap.data().status === 'finished') return false;
+        const { end } = getSchedule(readSnap(snap));
+        if (!end || clockSnap.data().at.toMillis() < end) return false;
+        tx.update(gameRef(gameId), { status: 'finished', finishedAt: end, standings });
+        return true;
+      });
+    },
+
+    // Vacía todos los cartones y olvida al ganador en un único batch
+    async resetBoards(gameId) {
+      const snap = await getDocs(participantsRef(gameId));
+      const batch = writeBatch(db);
+      snap.forEach(partDoc => batch.update(partDoc.ref, { checkedIndices: [], marks: {}, scoreReachedAt: null }));
+      batch.update(gameRef(gameId), { winner: null });
+      await batch.commit();
+    },
+
+    // Solo descuenta al expulsado si seguía contando como presente
+    removeParticipant(gameId, uid) {
+      const ref = participantRef(gameId, uid);
+      return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const present = snap.exists() && snap.data().present !== false;
+        tx.delete(ref);
+        tx.update(gameRef(gameId), { ...(present ? { participantCount: increment(-1) } : {}), removedIds: arrayUnion(uid), playerIds: arrayRemove(uid) });
+      });
+    },
+  };
+};
@@ -0,0 +1,53 @@
+import { createFirestoreBackend } from './firestore';
+import { createLocalBackend } from './local';
+
+// --- CONFIGURATION & UTILS ---
+
+const getFirebaseConfig = () => {
+  try {
+    if (import.meta.env && import.meta.env.VITE_FIREBASE_API_KEY) {
+      return {
+        apiKey: import.meta.env.VITE_FIREBASE_API_KEY.trim(),
+        authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN?.trim(),
+        projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID?.trim(),
+        storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET?.trim(),
+        messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID?.trim(),
+        appId: import.meta.env.VITE_FIREBASE_APP_ID?.trim()
+      };
+    }
+  } catch (e) {}
+  return JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
+};
+
+const getAppId = () => {
+  try {
+    if (import.meta.env && import.meta.env.VITE_APP_ID) {
+      return import.meta.env.VITE_APP_ID.trim();
+    }
+  } catch (e) {}
+  return typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+};
+
+const firebaseConfig = getFirebaseConfig();
+export const isConfigValid = Boolean(firebaseConfig && firebaseConfig.apiKey && firebaseConfig.authDomain);
+const appId = getAppId();
+
+// VITE_BACKEND=local|firestore fuerza uno; si no, Firestore cuando hay configuración y local si no la hay.
+const requested = import.meta.env?.VITE_BACKEND?.trim();
+const backendName = requested || (isConfigValid ? 'firestore' : 'local');
+
+const createBackend = () => {
+  if (backendName === 'local') return createLocalBackend(appId);
+  if (backendName === 'firestore' && isConfigValid) {
+    return createFirestoreBackend(firebaseConfig, appId, { authEmulator: import.meta.env?.VITE_AUTH_EMULATOR_URL?.trim() });
+  }
+  return null;
+};
+
+// Interfaz común (ver firestore.js y local.js): signIn, linkAccount, signInWithAccount, signOut,
+// getServerOffset, subscribeProfile, saveProfile, listGames, listMyGames, getParticipant, createGame,
+// getJoinCode, enterCode, subscribeGame, subscribeParticipants, joinGame, setChecks, voteMark,
+// setTeam, heartbeat, expirePresence, rename, claimWinner, logEvent, subscribeEvents, sendMessage,
+// deleteMessage, subscribeMessages, setReaction, subscribeReactions, setStatus, setControls,
+// finishGame, resetBoards y removeParticipant.
+export const backend = createBackend();
@@ -0,0 +1,358 @@
+// --- BACKEND LOCAL ---
+// Sin Firebase: los documentos viven en localStorage y los cambios se avisan entre
+// pestañas con BroadcastChannel. Cada pestaña es un jugador distinto (uid en sessionStorage).
+
+import { normalizeJoinCode, needsJoinCode, wrongJoinCode, emptyMark, getSchedule } from '../bingo';
+import { t } from '../i18n';
+
+const randomId = () => Math.random().toString(36).substring(2, 11);
+
+export const createLocalBackend = (appId, storage = window.localStorage, session = window.sessionStorage) => {
+  const prefix = `bingo-local:${appId}:`;
+  const listeners = new Map();
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(prefix) : null;
+
+  const emit = (col) => (listeners.get(col) || new Set()).forEach(fn => fn());
+  if (channel) channel.onmessage = (e) => emit(e.data.col);
+
+  const read = (col) => JSON.parse(storage.getItem(prefix + col) || '{}');
+
+  // localStorage es síncrono, así que leer-modificar-escribir en el mismo tick hace las veces de transacción
+  const mutate = (col, fn) => {
+    const docs = read(col);
+    const result = fn(docs);
+    storage.setItem(prefix + col, JSON.stringify(docs));
+    emit(col);
+    if (channel) channel.postMessage({ col });
+    return result;
+  };
+
+  const watch = (col, fn) => {
+    if (!listeners.has(col)) listeners.set(col, new Set());
+    listeners.get(col).add(fn);
+    // Primer disparo asíncrono, como hace onSnapshot; si ya se ha cancelado no llega
+    Promise.resolve().then(() => listeners.get(col).has(fn) && fn());
+    return () => listeners.get(col).delete(fn);
+  };
+
+  const participantsCol = (gameId) => `participants_${gameId}`;
+  const eventsCol = (gameId) => `events_${gameId}`;
+  const chatCol = (gameId) => `chat_${gameId}`;
+  const reactionsCol = (gameId) => `reactions_${gameId}`;
+  const accessCol = (gameId) => `access_${gameId}`;
+
+  const list = (col) => Object.entries(read(col)).map(([id, d]) => ({ id, ...d }));
+
+  // `participantCount` son los jugadores presentes (ver heartbeat en firestore.js)
+  const countPresent = (gameId, change) => mutate('games', docs => {
+    if (docs[gameId]) docs[gameId].participantCount = Math.max(0, (docs[gameId].participantCount || 0) + change);
+  });
+
+  // Las partidas privadas guardan su código aparte (`secrets`), como en Firestore
+  const enterCode = async (gameId, uid, joinCode) => {
+    const secret = read('secrets')[gameId]?.joinCode;
+    if (!secret || normalizeJoinCode(joinCode) !== secret) throw wrongJoinCode();
+    mutate(accessCol(gameId), docs => { docs[uid] = { joinCode: secret }; });
+  };
+
+  // Cuentas simuladas: un email apunta a un uid. El email se pide con prompt, que hace de ventana del proveedor.
+  let emitUser = () => {};
+  const currentUser = () => {
+    const uid = session.getItem(`${prefix}uid`);
+    const email = session.getItem(`${prefix}email`);
+    return { uid, isAnonymous: !email, email };
+  };
+  const switchUser = (uid, email) => {
+    session.setItem(`${prefix}uid`, uid);
+    if (email) session.setItem(`${prefix}email`, email);
+    else session.removeItem(`${prefix}email`);
+    emitUser(currentUser());
+  };
+  const askEmail = () => (window.prompt(t('auth.localEmail')) || '').trim().toLowerCase();
+  const authError = (code) => Object.assign(new Error(code), { code });
+
+  return {
+    name: 'local',
+
+    signIn(onUser) {
+      emitUser = onUser;
+      if (!session.getItem(`${prefix}uid`)) session.setItem(`${prefix}uid`, `local-${randomId()}`);
+      Promise.resolve().then(() => onUser(currentUser()));
+      return () => { emitUser = () => {}; };
+    },
+
+    async linkAccount() {
+      const email = askEmail();
+      if (!email) throw authError('auth/popup-closed-by-user');
+      const { uid } = currentUser();
+      const linked = mutate('accounts', docs => {
+        if (docs[email] && docs[email].uid !== uid) return false;
+        docs[email] = { uid };
+        return true;
+      });
+      if (!linked) throw authError('auth/credential-already-in-use');
+      switchUser(uid, email);
+    },
+
+    async signInWithAccount() {
+      const email = askEmail();
+      if (!email) throw authError('auth/popup-closed-by-user');
+      const account = read('accounts')[email];
+      if (!account) throw authError('auth/user-not-found');
+      switchUser(account.uid, email);
+    },
+
+    async signOut() {
+      switchUser(`local-${randomId()}`, null);
+    },
+
+    // Todas las pestañas comparten el reloj de esta máquina
+    async getServerOffset() {
+      return 0;
+    },
+
+    subscribeProfile(uid, onProfile) {
+      return watch('profiles', () => onProfile(read('profiles')[uid] || null));
+    },
+
+    async saveProfile(uid, profile) {
+      mutate('profiles', docs => { docs[uid] = { ...docs[uid], ...profile }; });
+    },
+
+    // Aquí el cursor es simplemente la posición en la lista ordenada por fecha. Todo está en memoria,
+    // así que no hace falta consulta previa por `mine` ni tope de lectura: `match` ya filtra.
+    async listGames({ pageSize, cursor = 0, match = () => true }) {
+      const games = list('games').sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+      const page = [];
+      for (let i = cursor || 0; i < games.length; i++) {
+        if (!match(games[i])) continue;
+        if (page.length === pageSize) return { games: page, cursor: i };
+        page.push(games[i]);
+      }
+      return { games: page, cursor: null };
+    },
+
+    async listMyGames(uid) {
+      return list('games')
+        .filter(g => g.creatorId === uid || (g.playerIds || []).includes(uid))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    },
+
+    async getParticipant(gameId, uid) {
+      return read(participantsCol(gameId))[uid] || null;
+    },
+
+    async createGame(gameId, game, creator, joinCode = null) {
+      mutate('games', docs => { docs[gameId] = { ...game, createdAt: Date.now() }; });
+      if (joinCode) mutate('secrets', docs => { docs[gameId] = { creatorId: game.creatorId, joinCode }; });
+      mutate(participantsCol(gameId), docs => { docs[creator.userId] = { ...creator, present: true, lastActive: Date.now(), lastSeen: Date.now() }; });
+    },
+
+    async getJoinCode(gameId) {
+      return read('secrets')[gameId]?.joinCode || null;
+    },
+
+    enterCode,
+
+    subscribeGame(gameId, onGame) {
+      return watch('games', () => {
+        const game = read('games')[gameId];
+        onGame(game ? { id: gameId, ...game } : null);
+      });
+    },
+
+    subscribeParticipants(gameId, onParticipants) {
+      return watch(participantsCol(gameId), () => onParticipants(Object.values(read(participantsCol(gameId)))));
+    },
+
+    async joinGame(gameId, participant, joinCode) {
+      const game = read('games')[gameId];
+      if (!game) return false;
+      if (joinCode) await enterCode(gameId, participant.userId, joinCode);
+      const allowed = !needsJoinCode(game, participant.userId) || read(accessCol(gameId))[participant.userId];
+      if (!read(participantsCol(gameId))[participant.userId] && !allowed) throw wrongJoinCode();
+      const created = mutate(participantsCol(gameId), docs => {
+        if (docs[participant.userId]) return false;
+        docs[participant.userId] = { ...participant, present: true, lastActive: Date.now(), lastSeen: Date.now() };
+        return true;
+      });
+      if (created) {
+        mutate('games', docs => {
+          const target = docs[gameId];
+          if (!target) return;
+          target.participantCount = (target.participantCount || 0) + 1;
+          target.playerIds = [...new Set([...(target.playerIds || []), participant.userId])];
+        });
+      }
+      return created;
+    },
+
+    async setChecks(gameId, uid, changes, witnessed = false) {
+      mutate(participantsCol(gameId), docs => {
+        const part = docs[uid];
+        if (!part) return;
+        const checked = new Set(part.checkedIndices || []);
+        const marks = { ...part.marks };
+        Object.entries(changes).forEach(([key, on]) => {
+          const i = Number(key);
+          if (on) {
+            checked.add(i);
+            marks[i] = emptyMark();
+          } else {
+            checked.delete(i);
+            delete marks[i];
+          }
+        });
+        const scored = !witnessed && Object.values(changes).some(Boolean);
+        docs[uid] = { ...part, checkedIndices: [...checked], ...(witnessed ? { marks } : {}), ...(scored ? { scoreReachedAt: Date.now() } : {}), lastActive: Date.now(), markedAt: Date.now() };
+      });
+    },
+
+    async voteMark(gameId, targetUid, index, witnessUid, verdict) {
+      const required = read('games')[gameId]?.witnessesRequired || 0;
+      mutate(participantsCol(gameId), docs => {
+        const target = docs[targetUid];
+        if (!target || !(target.checkedIndices || []).includes(index)) return;
+        const mark = target.marks?.[index] || { confirmedBy: [], disputedBy: [] };
+        const confirmedBy = mark.confirmedBy || [];
+        if (verdict === 'confirm' && !confirmedBy.includes(witnessUid) && confirmedBy.length + 1 === required) target.scoreReachedAt = Date.now();
+        const without = (list) => (list || []).filter(id => id !== witnessUid);
+        target.marks = {
+          ...target.marks,
+          [index]: verdict === 'confirm'
+            ? { confirmedBy: [...without(mark.confirmedBy), witnessUid], disputedBy: without(mark.disputedBy) }
+            : { confirmedBy: without(mark.confirmedBy), disputedBy: [...without(mark.disputedBy), witnessUid] }
+        };
+      });
+    },
+
+    async setTeam(gameId, uid, teamId) {
+      mutate(participantsCol(gameId), docs => {
+        if (docs[uid]) docs[uid].teamId = teamId;
+      });
+    },
+
+    async heartbeat(gameId, uid, { idle = false, left = false } = {}) {
+      const change = mutate(participantsCol(gameId), docs => {
+        if (!docs[uid]) return 0;
+        const wasPresent = docs[uid].present !== false;
+        docs[uid] = { ...docs[uid], lastSeen: Date.now(), idle, left, present: !left };
+        return wasPresent === left ? (left ? -1 : 1) : 0;
+      });
+      if (change) countPresent(gameId, change);
+    },
+
+    async expirePresence(gameId, uid, staleBefore) {
+      const expired = mutate(participantsCol(gameId), docs => {
+        const part = docs[uid];
+        if (!part || part.present === false || (!part.left && part.lastSeen && part.lastSeen >= staleBefore)) return false;
+        part.present = false;
+        return true;
+      });
+      if (expired) countPresent(gameId, -1);
+    },
+
+    async rename(gameId, uid, name, isCreator) {
+      mutate(participantsCol(gameId), docs => {
+        docs[uid] = { ...docs[uid], name, lastActive: Date.now() };
+      });
+      if (isCreator) {
+        mutate('games', docs => {
+          if (docs[gameId]) docs[gameId].creatorName = name;
+        });
+      }
+    },
+
+    async claimWinner(gameId, uid, memberIds, decide) {
+      const parts = read(participantsCol(gameId));
+      const part = parts[uid];
+      const members = memberIds.filter(id => id !== uid && parts[id]).map(id => parts[id]);
+      return mutate('games', docs => {
+        if (!docs[gameId] || !part) return null;
+        const winner = decide(docs[gameId], part, members);
+        if (!winner) return null;
+        docs[gameId].winner = { ...winner, claimedAt: Date.now() };
+        return winner;
+      });
+    },
+
+    async logEvent(gameId, event) {
+      mutate(eventsCol(gameId), docs => { docs[randomId()] = { ...event, at: Date.now() }; });
+    },
+
+    subscribeEvents(gameId, onEvents) {
+      return watch(eventsCol(gameId), () => onEvents(list(eventsCol(gameId)).sort((a, b) => a.at - b.at)));
+    },
+
+    async sendMessage(gameId, message) {
+      mutate(chatCol(gameId), docs => { docs[randomId()] = { ...message, at: Date.now() }; });
+    },
+
+    async deleteMessage(gameId, messageId) {
+      mutate(chatCol(gameId), docs => { delete docs[messageId]; });
+    },
+
+    subscribeMessages(gameId, onMessages) {
+      return watch(chatCol(gameId), () => onMessages(list(chatCol(gameId)).sort((a, b) => a.at - b.at)));
+    },
+
+    async setReaction(gameId, reactionId, reaction) {
+      mutate(reactionsCol(gameId), docs => {
+        if (reaction) docs[reactionId] = { ...reaction, at: Date.now() };
+        else delete docs[reactionId];
+      });
+    },
+
+    subscribeReactions(gameId, onReactions) {
+      return watch(reactionsCol(gameId), () => onReactions(list(reactionsCol(gameId))));
+    },
+
+    async setStatus(gameId, status, standings = null) {
+      const finished = status === 'finished';
+      mutate('games', docs => {
+        if (docs[gameId]) Object.assign(docs[gameId], { status, finishedAt: finished ? Date.now() : null, standings: finished ? standings : null });
+      });
+    },
+
+    async setControls(gameId, controls) {
+      mutate('games', docs => {
+        if (docs[gameId]) Object.assign(docs[gameId], controls);
+      });
+    },
+
+    async finishGame(gameId, uid, standings) {
+      return mutate('games', docs => {
+        const game = docs[gameId];
+        if (!game || game.status === 'finished') return false;
+        const { end } = getSchedule(game);
+        if (!end || Date.now() < end) return false;
+        Object.assign(game, { status: 'finished', finishedAt: end, standings });
+        return true;
+      });
+    },
+
+    async resetBoards(gameId) {
+      mutate(participantsCol(gameId), docs => {
+        Object.values(docs).forEach(p => { p.checkedIndices = []; p.marks = {}; p.scoreReachedAt = null; });
+      });
+      mutate('games', docs => {
+        if (docs[gameId]) docs[gameId].winner = null;
+      });
+    },
+
+    async removeParticipant(gameId, uid) {
+      const present = mutate(participantsCol(gameId), docs => {
+        const wasPresent = Boolean(docs[uid]) && docs[uid].present !== false;
+        delete docs[uid];
+        return wasPresent;
+      });
+      if (present) countPresent(gameId, -1);
+      mutate('games', docs => {
+        const game = docs[gameId];
+        if (!game) return;
+        game.removedIds = [...new Set([...(game.removedIds || []), uid])];
+        game.playerIds = (game.playerIds || []).filter(id => id !== uid);
+      });
+    },
+  };
+};
@@ -0,0 +1,407 @@
+// --- LÓGICA DE BINGO ---
+// Funciones puras sobre el `layout` (array plano fila a fila, `null` = hueco vacío).
+
+// Los valores son claves de los catálogos de idioma (ver i18n)
+export const WIN_PATTERNS = {
+  row: 'patterns.row',
+  column: 'patterns.column',
+  diagonal: 'patterns.diagonal',
+  fourCorners: 'patterns.fourCorners',
+  fullCard: 'patterns.fullCard',
+};
+
+export const DEFAULT_WIN_PATTERNS = ['row', 'column', 'diagonal'];
+
+// --- TABLEROS ---
+// Cada partida guarda su `board`; las partidas antiguas no lo tienen y usan el 6x4 original.
+
+export const DEFAULT_BOARD = { cols: 6, rows: 4, freeCenter: false, minItems: 10, maxItems: 20 };
+
+export const BOARD_PRESETS = {
+  quick: { label: 'boards.quick', cols: 3, rows: 3, freeCenter: false, minItems: 5, maxItems: 9 },
+  standard: { label: 'boards.standard', ...DEFAULT_BOARD },
+  classic: { label: 'boards.classic', cols: 5, rows: 5, freeCenter: true, minItems: 12, maxItems: 24 },
+  large: { label: 'boards.large', cols: 8, rows: 6, freeCenter: false, minItems: 24, maxItems: 48 },
+};
+
+export const MIN_SIDE = 3;
+export const MAX_SIDE = 10;
+
+export const getBoard = (game) => (game?.board ? { ...DEFAULT_BOARD, ...game.board } : DEFAULT_BOARD);
+
+// La casilla libre solo existe en tableros con centro (lados impares).
+export const getFreeIndex = ({ cols, rows, freeCenter }) => {
+  if (!freeCenter || cols % 2 === 0 || rows % 2 === 0) return -1;
+  return Math.floor(rows / 2) * cols + Math.floor(cols / 2);
+};
+
+// Límites por defecto para tableros a medida: al menos el 40% del cartón y como mucho lleno.
+export const getItemLimits = (board) => {
+  const capacity = board.cols * board.rows - (getFreeIndex(board) >= 0 ? 1 : 0);
+  return { minItems: Math.min(capacity, Math.ceil(board.cols * board.rows * 0.4)), maxItems: capacity };
+};
+
+// Devuelve todas las combinaciones de celdas ganadoras para los patrones dados.
+// En tableros no cuadrados las diagonales tienen la longitud del lado corto,
+// así que hay varias en cada sentido.
+export const getWinningLines = (patterns, { cols, rows }) => {
+  const lines = [];
+  const at = (r, c) => r * cols + c;
+
+  if (patterns.includes('row')) {
+    for (let r = 0; r < rows; r++) {
+      lines.push({ pattern: 'row', cells: Array.from({ length: cols }, (_, c) => at(r, c)) });
+    }
+  }
+  if (patterns.includes('column')) {
+    for (let c = 0; c < cols; c++) {
+      lines.push({ pattern: 'column', cells: Array.from({ length: rows }, (_, r) => at(r, c)) });
+    }
+  }
+  if (patterns.includes('diagonal')) {
+    const size = Math.min(cols, rows);
+    for (let offset = 0; offset <= Math.abs(cols - rows); offset++) {
+      const down = [];
+      const up = [];
+      for (let k = 0; k < size; k++) {
+        const r = cols >= rows ? k : k + offset;
+        const c = cols >= rows ? k + offset : k;
+        down.push(at(r, c));
+        up.push(at(rows - 1 - r, c));
+      }
+      lines.push({ pattern: 'diagonal', cells: down });
+      lines.push({ pattern: 'diagonal', cells: up });
+    }
+  }
+  if (patterns.includes('fourCorners')) {
+    lines.push({ pattern: 'fourCorners', cells: [at(0, 0), at(0, cols - 1), at(rows - 1, 0), at(rows - 1, cols - 1)] });
+  }
+  if (patterns.includes('fullCard')) {
+    lines.push({ pattern: 'fullCard', cells: Array.from({ length: cols * rows }, (_, i) => i) });
+  }
+  return lines;
+};
+
+// Los huecos vacíos cuentan como marcados, pero una línea solo vale si al menos la mitad de sus
+// casillas (y un mínimo de dos) tienen item: con pocos items repartidos, si no, bastaría una marca.
+// El cartón lleno es la excepción: vale con marcar todos los items que haya.
+const MIN_LINE_ITEMS = 2;
+
+const isPlayableLine = (line, items) => (line.pattern === 'fullCard'
+  ? items.length > 0
+  : items.length >= Math.max(MIN_LINE_ITEMS, Math.ceil(line.cells.length / 2)));
+
+export const findWinningLine = (layout, checkedIndices, patterns, board) => {
+  const checked = new Set(checkedIndices);
+  for (const line of getWinningLines(patterns, board)) {
+    const items = line.cells.filter(i => layout[i] !== null && layout[i] !== undefined);
+    if (isPlayableLine(line, items) && items.every(i => checked.has(i))) {
+      return { pattern: line.pattern, cells: items };
+    }
+  }
+  return null;
+};
+
+// --- GENERACIÓN DE CARTONES ---
+
+// PRNG mulberry32: con la misma semilla siempre sale el mismo cartón.
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Semilla estable a partir de un texto (p.ej. `${gameId}:${uid}`).
+export const hashSeed = (text) => {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+};
+
+const shuffle = (list, random) => {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+};
+
+// Baraja los items, los reparte por filas equilibradas y rellena cada fila con huecos.
+// La casilla libre se deja como `null` en el centro y nunca recibe item.
+export const buildLayout = (items, board, random = Math.random) => {
+  const { cols, rows } = board;
+  const freeIndex = getFreeIndex(board);
+  const freeRow = freeIndex >= 0 ? Math.floor(freeIndex / cols) : -1;
+  const capacity = (r) => (r === freeRow ? cols - 1 : cols);
+
+  const pool = shuffle([...items], random);
+  const rowLists = Array.from({ length: rows }, () => []);
+  let r = 0;
+  pool.forEach(item => {
+    while (rowLists[r].length >= capacity(r)) r = (r + 1) % rows;
+    rowLists[r].push(item);
+    r = (r + 1) % rows;
+  });
+
+  const layout = [];
+  rowLists.forEach((rowItems, rowIndex) => {
+    while (rowItems.length < capacity(rowIndex)) rowItems.push(null);
+    shuffle(rowItems, random);
+    if (rowIndex === freeRow) rowItems.splice(freeIndex % cols, 0, null);
+    layout.push(...rowItems);
+  });
+  return layout;
+};
+
+// Número de celdas con item (las que cuentan para el progreso).
+export const countItems = (layout) => layout.filter(cell => cell !== null && cell !== undefined).length;
+
+// Cartón de un jugador: el suyo propio en partidas con cartones únicos, el común en el resto.
+export const getPlayerLayout = (game, participant) => {
+  if (game?.uniqueCards) return participant?.layout || null;
+  return game?.layout || null;
+};
+
+// --- ESTADO DE LA PARTIDA ---
+// `status` solo distingue abierta de terminada; el cierre de entradas (`joinsLocked`) y la pausa de
+// marcas (`markingPaused`) van aparte para que una no deshaga la otra.
+// open: se puede entrar y marcar · locked: no entra nadie nuevo · paused: no se marca · finished: todo cerrado
+
+export const GAME_STATUS = {
+  open: 'status.open',
+  locked: 'status.locked',
+  paused: 'status.paused',
+  finished: 'status.finished',
+};
+
+export const isFinished = (game) => game?.status === 'finished';
+
+export const isJoinLocked = (game) => Boolean(game?.joinsLocked);
+
+export const isMarkingPaused = (game) => Boolean(game?.markingPaused);
+
+// Estados que se muestran a la vez: una partida puede estar cerrada y en pausa
+export const getGameStatuses = (game) => {
+  if (isFinished(game)) return ['finished'];
+  const statuses = [...(isJoinLocked(game) ? ['locked'] : []), ...(isMarkingPaused(game) ? ['paused'] : [])];
+  return statuses.length ? statuses : ['open'];
+};
+
+// El más restrictivo, para las vistas que solo enseñan uno
+export const getGameStatus = (game) => {
+  const statuses = getGameStatuses(game);
+  return statuses[statuses.length - 1];
+};
+
+// Los expulsados por el anfitrión no pueden volver a crear su ficha.
+export const canJoin = (game, uid) => !isFinished(game) && !isJoinLocked(game) && !(game?.removedIds || []).includes(uid);
+
+// --- VISIBILIDAD ---
+// public: aparece en el buscador · unlisted: solo con el enlace · private: además pide código.
+// Las partidas antiguas no tienen `visibility` y eran todas públicas.
+// El código no va en la partida, que la lee cualquiera: lo guarda el backend aparte y solo lo ve
+// el anfitrión. Quien lo conoce lo demuestra con `enterCode` (en Firestore lo comprueban las reglas).
+
+export const VISIBILITY = {
+  public: 'visibility.public',
+  unlisted: 'visibility.unlisted',
+  private: 'visibility.private',
+};
+
+export const getVisibility = (game) => game?.visibility || 'public';
+
+// Sin 0/O ni 1/I para que se pueda dictar en voz alta
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const createJoinCode = (random = Math.random) =>
+  Array.from({ length: 6 }, () => CODE_CHARS[Math.floor(random() * CODE_CHARS.length)]).join('');
+
+export const normalizeJoinCode = (code) => (code || '').trim().toUpperCase();
+
+// El creador nunca necesita código para su propia partida
+export const needsJoinCode = (game, uid) => getVisibility(game) === 'private' && game?.creatorId !== uid;
+
+// Error que lanzan los backends al rechazar un código (se distingue por `code`, como los de Firebase)
+export const wrongJoinCode = () => Object.assign(new Error('Wrong join code'), { code: 'wrong-join-code' });
+
+// --- BUSCADOR ---
+
+export const isPlayerOf = (game, uid) => game?.creatorId === uid || (game?.playerIds || []).includes(uid);
+
+// `mine`: partidas en las que estoy (sean del tipo que sean); si no, solo las públicas.
+// `search` busca en los items y en el nombre del creador, sin distinguir mayúsculas.
+export const matchesBrowse = (game, { uid, mine = false, search = '' }) => {
+  if (mine ? !isPlayerOf(game, uid) : getVisibility(game) !== 'public') return false;
+  const term = search.trim().toLowerCase();
+  if (!term) return true;
+  const texts = [game.creatorName, ...(game.items || game.layout || [])].filter(Boolean);
+  return texts.some(text => text.toLowerCase().includes(term));
+};
+
+// Con `now` (hora del servidor) también se exige estar dentro del horario de la partida
+export const canMark = (game, now) => !isFinished(game) && !isMarkingPaused(game) && (now === undefined || getPhase(game, now) === 'running');
+
+// --- HORARIO ---
+// `schedule` es opcional: { startsAt, endsAt, durationMs } en ms. Sin inicio, la partida empieza
+// al crearse (`createdAt`, hora del servidor); la duración cuenta desde el inicio.
+// Todas las comparaciones usan la hora del servidor (ver getServerOffset en los backends).
+
+export const getSchedule = (game) => {
+  const { startsAt = null, endsAt = null, durationMs = null } = game?.schedule || {};
+  const start = startsAt || game?.createdAt || null;
+  const end = endsAt || (durationMs && start ? start + durationMs : null);
+  return { start, end, timed: Boolean(startsAt || end) };
+};
+
+// upcoming: aún no ha empezado · running: en juego · over: se acabó el tiempo
+export const getPhase = (game, now) => {
+  const { start, end } = getSchedule(game);
+  if (game?.schedule?.startsAt && now < start) return 'upcoming';
+  if (end && now >= end) return 'over';
+  return 'running';
+};
+
+export const formatClock = (ms) => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const pad = (n) => String(n).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const clock = `${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+  return hours ? `${hours}:${clock}` : clock;
+};
+
+// --- TESTIGOS ---
+// Con `witnessesRequired` > 0 cada marca guarda sus votos en `marks[índice]`
+// ({ confirmedBy, disputedBy }) junto a `checkedIndices`. Un testigo solo tiene un voto.
+
+export const MARK_STATE = {
+  pending: 'markState.pending',
+  confirmed: 'markState.confirmed',
+  disputed: 'markState.disputed',
+};
+
+export const getMarkState = (game, participant, index) => {
+  const required = game?.witnessesRequired || 0;
+  if (required === 0) return 'confirmed';
+  const { confirmedBy = [], disputedBy = [] } = participant?.marks?.[index] || {};
+  if (confirmedBy.length >= required) return 'confirmed';
+  if (disputedBy.length > confirmedBy.length) return 'disputed';
+  return 'pending';
+};
+
+// Solo las marcas confirmadas cuentan para el progreso y para cantar bingo.
+export const getCountedIndices = (game, participant) =>
+  (participant?.checkedIndices || []).filter(i => getMarkState(game, participant, i) === 'confirmed');
+
+// Votos frescos para las marcas nuevas; las desmarcadas pierden los suyos.
+export const syncMarks = (marks = {}, checkedIndices) =>
+  Object.fromEntries(checkedIndices.map(i => [i, marks[i] || emptyMark()]));
+
+export const emptyMark = () => ({ confirmedBy: [], disputedBy: [] });
+
+// --- EQUIPOS ---
+// `game.teams` ([{ id, name }]) activa el modo equipos; cada ficha guarda su `teamId`.
+// Los equipos comparten el cartón común: el tablero de un equipo es la unión de las marcas
+// confirmadas de sus miembros y el bingo se comprueba sobre esa unión.
+
+export const getTeams = (game) => game?.teams || [];
+
+export const getTeam = (game, teamId) => getTeams(game).find(t => t.id === teamId) || null;
+
+// Nombres escritos por el creador → equipos con id estable
+export const buildTeams = (names) => [...new Set(names.map(n => n.trim()).filter(Boolean))]
+  .map((name, i) => ({ id: `t${i + 1}`, name }));
+
+// Reparto automático: al equipo con menos jugadores (a igualdad, el primero)
+export const pickTeam = (game, participants) => {
+  const teams = getTeams(game);
+  if (teams.length === 0) return null;
+  const size = (id) => participants.filter(p => p.teamId === id).length;
+  return teams.reduce((best, t) => (size(t.id) < size(best.id) ? t : best)).id;
+};
+
+export const getTeamIndices = (game, participants, teamId) =>
+  [...new Set(participants.filter(p => p.teamId === teamId).flatMap(p => getCountedIndices(game, p)))];
+
+// Los equipos se cierran en cuanto empieza a marcarse (la hora de inicio ya pasó o alguien tiene marcas):
+// cambiar de equipo a partir de ahí llevaría marcas de un cartón común a otro.
+// `now` es la hora del servidor; sin ella una partida con hora de inicio se da por empezada.
+export const canChangeTeam = (game, participants, now) => {
+  if (isFinished(game) || participants.some(p => (p.checkedIndices || []).length > 0)) return false;
+  const { start } = getSchedule(game);
+  return !start || (now !== undefined && now < start);
+};
+
+// Índices que cuentan para el bingo de `participant`: los suyos o, en modo equipos, los de su equipo.
+// `participants` es el último snapshot; la ficha de `participant` sustituye a la suya.
+export const getWinIndices = (game, participant, participants) => {
+  if (!participant?.teamId || !getTeam(game, participant.teamId)) return getCountedIndices(game, participant);
+  return getTeamIndices(game, participants.filter(p => p.userId !== participant.userId).concat(participant), participant.teamId);
+};
+
+// Miembros por equipo, en el orden en que se crearon; los que no tienen equipo van al final
+export const groupByTeam = (game, participants) => {
+  const groups = getTeams(game).map(team => ({ team, members: participants.filter(p => p.teamId === team.id) }));
+  const loose = participants.filter(p => !getTeam(game, p.teamId));
+  return loose.length ? [...groups, { team: null, members: loose }] : groups;
+};
+
+// --- CLASIFICACIÓN ---
+// count: un punto por marca · rarity: cada item vale más cuantos menos jugadores lo tengan.
+// Los puntos se recalculan con cada snapshot de participantes; al terminar la partida
+// se congela la clasificación en `game.standings`.
+
+export const SCORING = {
+  count: 'scoring.count',
+  rarity: 'scoring.rarity',
+};
+
+export const getScoring = (game) => game?.scoring || 'count';
+
+// Cuántos jugadores tienen confirmado cada item (por texto, así vale con cartones únicos)
+export const getItemCounts = (game, participants) => {
+  const counts = {};
+  participants.forEach(p => {
+    const layout = getPlayerLayout(game, p) || [];
+    getCountedIndices(game, p).forEach(i => {
+      if (layout[i]) counts[layout[i]] = (counts[layout[i]] || 0) + 1;
+    });
+  });
+  return counts;
+};
+
+// Con N jugadores, un item marcado por todos vale 1 y uno marcado solo por mí vale N
+export const getItemValue = (game, markedBy, players) =>
+  getScoring(game) === 'rarity' ? Math.max(1, players - markedBy + 1) : 1;
+
+export const getScore = (game, participant, counts, players) => {
+  const layout = getPlayerLayout(game, participant) || [];
+  return getCountedIndices(game, participant)
+    .reduce((sum, i) => sum + getItemValue(game, counts[layout[i]] || 1, players), 0);
+};
+
+// `scoreReachedAt` es cuándo subió por última vez mi marcador (ver setChecks y voteMark en los backends);
+// desmarcar no lo cambia. Las fichas antiguas no lo tienen y usan su último cambio.
+const reachedAt = (p) => p.scoreReachedAt || p.markedAt || p.lastActive || 0;
+
+// Más puntos primero; a igualdad, quien llegó antes a su marcador
+export const rankParticipants = (game, participants) => {
+  const counts = getItemCounts(game, participants);
+  return participants
+    .map(p => ({ ...p, score: getScore(game, p, counts, participants.length) }))
+    .sort((a, b) => b.score - a.score || reachedAt(a) - reachedAt(b));
+};
+
+export const freezeStandings = (game, participants) =>
+  rankParticipants(game, participants).map(({ userId, name, score }) => ({ userId, name, score }));
+
+// Clasificación congelada si la partida ha terminado; en vivo en el resto de casos
+export const getStandings = (game, participants) =>
+  isFinished(game) && game.standings ? game.standings : rankParticipants(game, participants);
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Activity } from 'lucide-react';
+import { describeEvent, timeAgo } from '../activity';
+import { useNow } from '../hooks';
+import { t } from '../i18n';
+
+// Feed en vivo: los últimos eventos primero, con el "hace X min" refrescándose solo
+const ActivityFeed = ({ events, max = 15 }) => {
+  const now = useNow(30000);
+
+  const latest = events.slice(-max).reverse();
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-100 p-3">
+      <h3 className="text-slate-500 font-bold text-sm mb-2 flex items-center gap-2"><Activity size={16} /> {t('activity.title')}</h3>
+      {latest.length === 0 && <div className="text-xs text-slate-400 italic">{t('activity.empty')}</div>}
+      <ul className="space-y-1 max-h-64 overflow-y-auto">
+        {latest.map(event => (
+          <li key={event.id} className="text-xs text-slate-600 flex justify-between gap-2">
+            <span className="truncate" title={describeEvent(event)}>{describeEvent(event)}</span>
+            <span className="text-slate-400 flex-shrink-0">{event.at ? timeAgo(event.at, now) : ''}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ActivityFeed;
@@ -0,0 +1,50 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MessageCircle, Send, Trash2, X } from 'lucide-react';
+import { t } from '../i18n';
+
+const MAX_LENGTH = 500;
+
+const ChatPanel = ({ messages, myUid, canSend, isHost, onSend, onDelete, onClose, className = '' }) => {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // Siempre mostramos el último mensaje
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [messages.length]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const text = draft.trim().slice(0, MAX_LENGTH);
+    if (!text || !canSend) return;
+    onSend(text);
+    setDraft('');
+  };
+
+  return (
+    <div className={`bg-white rounded-xl shadow-lg border border-slate-100 flex flex-col overflow-hidden ${className}`}>
+      <div className="px-3 py-2 border-b border-slate-100 flex items-center justify-between">
+        <h3 className="text-slate-500 font-bold text-sm flex items-center gap-2"><MessageCircle size={16} /> {t('chat.title')}</h3>
+        {onClose && <button onClick={onClose} className="lg:hidden p-1 bg-transparent border-0 text-slate-400 hover:text-slate-700"><X size={18} /></button>}
+      </div>
+      <ul ref={listRef} className="flex-1 overflow-y-auto p-3 space-y-2">
+        {messages.length === 0 && <li className="text-xs text-slate-400 italic">{t('chat.empty')}</li>}
+        {messages.map(m => (
+          <li key={m.id} className={`group flex flex-col ${m.userId === myUid ? 'items-end' : 'items-start'}`}>
+            <span className="text-[10px] text-slate-400">{m.name}</span>
+            <div className="flex items-center gap-1 max-w-[85%]">
+              {isHost && <button onClick={() => onDelete(m.id)} title={t('chat.delete')} className="p-0 bg-transparent border-0 text-slate-300 hover:text-red-500 lg:opacity-0 lg:group-hover:opacity-100 focus:opacity-100"><Trash2 size={12} /></button>}
+              <span className={`text-sm rounded-lg px-2 py-1 break-words ${m.userId === myUid ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-700'}`}>{m.text}</span>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={submit} className="p-2 border-t border-slate-100 flex gap-2">
+        <input className="flex-1 min-w-0 border border-slate-200 rounded-lg px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500" placeholder={canSend ? t('chat.placeholder') : t('chat.joinToChat')} maxLength={MAX_LENGTH} disabled={!canSend} value={draft} onChange={(e) => setDraft(e.target.value)} />
+        <button type="submit" disabled={!canSend || !draft.trim()} className="p-2 rounded-lg bg-indigo-600 text-white border-0 disabled:opacity-40"><Send size={16} /></button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Trophy, Gamepad2, Percent, Star, ChevronLeft, Clock } from 'lucide-react';
+import { summarizeHistory, formatDuration } from '../history';
+import { timeAgo } from '../activity';
+import { t } from '../i18n';
+
+const StatCard = ({ icon, label, value }) => (
+  <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4 text-center">
+    <div className="flex justify-center text-indigo-400 mb-1">{icon}</div>
+    <div className="text-2xl font-extrabold text-slate-800">{value}</div>
+    <div className="text-xs text-slate-500 uppercase tracking-wide">{label}</div>
+  </div>
+);
+
+// "My games": resumen agregado y una fila por partida (`entries` es null mientras carga)
+const HistoryPage = ({ entries, now, onOpen, onBack }) => {
+  const stats = summarizeHistory(entries || []);
+
+  return (
+    <div className="w-full min-h-screen bg-slate-100 p-4 md:p-6 font-sans">
+      <style>{`#root { width: 100%; max-width: 100%; margin: 0; padding: 0; text-align: left; } body { display: block; place-items: unset; min-width: 0; }`}</style>
+      <div className="w-full max-w-2xl mx-auto space-y-6">
+        <div className="flex items-center gap-2">
+          <button onClick={onBack} className="p-1 rounded-full bg-transparent border-0 text-slate-500 hover:text-slate-800"><ChevronLeft size={20} /></button>
+          <h1 className="text-2xl font-extrabold text-slate-800">{t('history.title')}</h1>
+        </div>
+
+        {entries === null ? <div className="text-center text-slate-400 animate-pulse">{t('common.loading')}</div> : (
+          <>
+            <div className="grid grid-cols-3 gap-3">
+              <StatCard icon={<Gamepad2 size={20} />} label={t('history.played')} value={stats.played} />
+              <StatCard icon={<Trophy size={20} />} label={t('history.wins')} value={stats.wins} />
+              <StatCard icon={<Percent size={20} />} label={t('history.completion')} value={`${Math.round(stats.avgCompletion * 100)}%`} />
+            </div>
+
+            {stats.topItems.length > 0 && (
+              <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4">
+                <h3 className="text-slate-500 font-bold text-sm uppercase tracking-wide mb-2 flex items-center gap-1"><Star size={14} /> {t('history.mostMarked')}</h3>
+                <ol className="space-y-1">
+                  {stats.topItems.map(({ item, count }) => (
+                    <li key={item} className="flex justify-between text-sm text-slate-700"><span className="truncate pr-2">{item}</span><span className="font-bold text-slate-500">{count}×</span></li>
+                  ))}
+                </ol>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              {entries.length === 0 && <div className="text-center text-slate-400 text-sm italic">{t('history.empty')}</div>}
+              {entries.map(e => (
+                <div key={e.game.id} onClick={() => onOpen(e.game.id)} className="bg-white p-4 rounded-lg shadow-sm border border-slate-200 cursor-pointer hover:border-indigo-400 hover:shadow-md transition flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="font-bold text-slate-700 truncate flex items-center gap-1">
+                      {e.won && <Trophy size={14} className="text-amber-500 flex-shrink-0" />}
+                      {e.game.creatorName ? t('common.by', { name: e.game.creatorName }) : e.game.id}
+                    </div>
+                    <div className="text-xs text-slate-500 flex items-center gap-2">
+                      {e.game.createdAt && <span>{timeAgo(e.game.createdAt, now)}</span>}
+                      <span className="flex items-center gap-1"><Clock size={10} /> {e.duration !== null ? formatDuration(e.duration) : t('history.inProgress')}</span>
+                    </div>
+                  </div>
+                  <div className="text-right flex-shrink-0">
+                    <div className="font-bold text-slate-700">{e.marks}/{e.total}</div>
+                    <div className="text-xs text-slate-400">{e.won ? t('history.won') : e.finished ? t('history.finalMarks') : t('history.marksSoFar')}</div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPage;
@@ -0,0 +1,15 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { LOCALES, t } from '../i18n';
+
+// Selector de idioma; el cambio se guarda en este navegador (ver i18n)
+const LanguageSwitcher = ({ locale, onChange, className = '' }) => (
+  <label className={`flex items-center gap-1 text-xs text-slate-500 ${className}`} title={t('common.language')}>
+    <Languages size={14} />
+    <select className="border border-slate-200 rounded px-1 py-0.5 bg-white text-xs" value={locale} onChange={(e) => onChange(e.target.value)}>
+      {Object.entries(LOCALES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+    </select>
+  </label>
+);
+
+export default LanguageSwitcher;
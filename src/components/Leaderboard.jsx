@@ -0,0 +1,29 @@
+import React from 'react';
+import { Medal, Lock } from 'lucide-react';
+import { t } from '../i18n';
+
+const PODIUM = ['bg-amber-400 text-amber-950', 'bg-slate-300 text-slate-700', 'bg-orange-300 text-orange-900'];
+
+// Clasificación ya ordenada (ver rankParticipants); `final` indica que está congelada.
+// `unit` es 'points' o 'marks' y se pluraliza con cada puntuación
+const Leaderboard = ({ standings, myUid, unit, final = false }) => (
+  <div className="bg-white rounded-xl shadow-sm border border-slate-100 p-3">
+    <h3 className="text-slate-500 font-bold text-sm mb-2 flex items-center gap-2">
+      <Medal size={16} /> {final ? t('leaderboard.final') : t('leaderboard.title')}
+      {final && <Lock size={12} className="text-slate-400" />}
+    </h3>
+    {standings.length === 0 && <div className="text-xs text-slate-400 italic">{t('leaderboard.empty')}</div>}
+    <ol className="space-y-1 max-h-64 overflow-y-auto">
+      {standings.map((s, i) => (
+        <li key={s.userId} className={`flex items-center gap-2 text-sm rounded px-1 ${s.userId === myUid ? 'bg-indigo-50' : ''}`}>
+          <span className={`w-6 h-6 rounded-full flex items-center justify-center text-xs font-bold flex-shrink-0 ${PODIUM[i] || 'bg-slate-100 text-slate-500'}`}>{i + 1}</span>
+          <span className="flex-1 truncate text-slate-700">{s.name}</span>
+          <span className="font-bold text-slate-700 tabular-nums">{s.score}</span>
+          <span className="text-xs text-slate-400 w-10">{t(`units.${unit}`, { count: s.score })}</span>
+        </li>
+      ))}
+    </ol>
+  </div>
+);
+
+export default Leaderboard;
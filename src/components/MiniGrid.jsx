@@ -0,0 +1,20 @@
+import React from 'react';
+import { gridColumns, MINI_MARK_COLORS } from '../ui';
+
+const MiniGrid = ({ layout, cols, checkedIndices, markStates = {}, winningIndices = [], className = "" }) => {
+  return (
+    <div className={`grid gap-[1px] bg-gray-300 border border-gray-300 ${className}`} style={gridColumns(cols)}>
+      {layout.map((cell, idx) => {
+        const isChecked = checkedIndices.includes(idx);
+        const isEmpty = cell === null;
+        let bgColor = 'bg-white';
+        if (isEmpty) bgColor = 'bg-gray-200';
+        if (isChecked) bgColor = MINI_MARK_COLORS[markStates[idx] || 'confirmed'];
+        if (winningIndices.includes(idx)) bgColor = 'bg-amber-400';
+        return <div key={idx} className={`${bgColor} w-full h-full`} />;
+      })}
+    </div>
+  );
+};
+
+export default MiniGrid;
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { UserCircle, Edit2, LogIn, LogOut, ShieldCheck, History } from 'lucide-react';
+import { t } from '../i18n';
+
+// Perfil del jugador en la portada: nombre preferido para las partidas nuevas y estado de la cuenta
+const ProfileCard = ({ user, profile, onSaveName, onLink, onSignIn, onSignOut, onHistory }) => {
+  const [draft, setDraft] = useState(null);
+  const btn = 'flex items-center gap-1 text-xs font-semibold px-2 py-1 rounded-lg border border-slate-200 bg-white text-slate-600 hover:bg-slate-50';
+
+  const save = () => {
+    if (draft === null) return;
+    onSaveName(draft.trim());
+    setDraft(null);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-4 flex flex-wrap items-center gap-3">
+      <UserCircle size={32} className="text-indigo-400 flex-shrink-0" />
+      <div className="flex-1 min-w-0">
+        {draft !== null ? (
+          <input autoFocus className="border rounded px-2 py-1 text-sm w-full max-w-xs" value={draft} placeholder={t('profile.randomName')} onChange={(e) => setDraft(e.target.value)} onBlur={save} onKeyDown={(e) => e.key === 'Enter' && save()} />
+        ) : (
+          <button onClick={() => setDraft(profile?.displayName || '')} className="font-bold text-slate-700 flex items-center gap-1 hover:underline p-0 bg-transparent border-0">
+            {profile?.displayName || t('profile.randomName')} <Edit2 size={12} />
+          </button>
+        )}
+        <div className="text-xs text-slate-400 truncate">
+          {user.isAnonymous ? t('profile.guest') : <span className="flex items-center gap-1 text-emerald-600"><ShieldCheck size={12} /> {user.email || t('profile.linked')}</span>}
+        </div>
+      </div>
+      <button onClick={onHistory} className={btn}><History size={12} /> {t('profile.myGames')}</button>
+      {user.isAnonymous ? (
+        <div className="flex gap-2">
+          <button onClick={onLink} className={btn} title={t('profile.saveHint')}>{t('profile.save')}</button>
+          <button onClick={onSignIn} className={btn} title={t('profile.signInHint')}><LogIn size={12} /> {t('profile.signIn')}</button>
+        </div>
+      ) : (
+        <button onClick={onSignOut} className={btn}><LogOut size={12} /> {t('profile.signOut')}</button>
+      )}
+    </div>
+  );
+};
+
+export default ProfileCard;
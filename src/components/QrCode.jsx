@@ -0,0 +1,20 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+
+// QR generado en el navegador (sin servicios externos)
+const QrCode = ({ value, size = 256, className = '' }) => {
+  const [dataUrl, setDataUrl] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(value, { width: size, margin: 1 })
+      .then(url => { if (!cancelled) setDataUrl(url); })
+      .catch(err => console.error("QR Error:", err));
+    return () => { cancelled = true; };
+  }, [value, size]);
+
+  if (!dataUrl) return <div className={`bg-white/10 animate-pulse ${className}`} style={{ width: size, height: size }} />;
+  return <img src={dataUrl} width={size} height={size} alt={value} className={className} />;
+};
+
+export default QrCode;
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { Smile } from 'lucide-react';
+import { t } from '../i18n';
+
+const EMOJIS = ['👍', '😂', '🔥', '👏', '😮', '🎉'];
+
+// Agrupa por emoji: cuántas hay, si una es mía y quién reaccionó (para el tooltip)
+const groupByEmoji = (reactions, myUid) => {
+  const groups = new Map();
+  reactions.forEach(r => {
+    const g = groups.get(r.emoji) || { emoji: r.emoji, count: 0, mine: false, names: [] };
+    g.count += 1;
+    g.mine = g.mine || r.userId === myUid;
+    g.names.push(r.name);
+    groups.set(r.emoji, g);
+  });
+  return [...groups.values()];
+};
+
+// Los clics no deben llegar a la celda (que marcaría/desmarcaría)
+const stop = (e) => e.stopPropagation();
+
+export const ReactionPicker = ({ onPick, disabled, placement = 'up', className = '' }) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <span className={`relative inline-flex ${className}`} onClick={stop}>
+      <button type="button" disabled={disabled} onClick={() => setOpen(o => !o)} title={t('reactions.react')} className="p-0.5 rounded-full bg-transparent border-0 text-slate-400 hover:text-indigo-600 disabled:opacity-30"><Smile size={14} /></button>
+      {open && (
+        <span className={`absolute left-0 z-20 flex ${placement === 'up' ? 'bottom-full mb-1' : 'top-full mt-1'} gap-1 bg-white shadow-lg border border-slate-200 rounded-full px-2 py-1`}>
+          {EMOJIS.map(emoji => (
+            <button key={emoji} type="button" onClick={() => { onPick(emoji); setOpen(false); }} className="p-0 bg-transparent border-0 text-base leading-none hover:scale-125 transition">{emoji}</button>
+          ))}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export const ReactionBar = ({ reactions, myUid, onToggle, canReact, compact = false, placement, className = '' }) => {
+  const groups = groupByEmoji(reactions, myUid);
+  if (groups.length === 0 && !canReact) return null;
+  return (
+    <div className={`flex flex-wrap items-center gap-1 ${className}`} onClick={stop}>
+      {groups.map(g => (
+        <button key={g.emoji} type="button" disabled={!canReact} onClick={() => onToggle(g.emoji)} title={g.names.join(', ')} className={`leading-none rounded-full border px-1 ${compact ? 'text-[10px]' : 'text-xs py-0.5'} ${g.mine ? 'bg-indigo-50 border-indigo-300' : 'bg-white border-slate-200'}`}>
+          {g.emoji} {g.count}
+        </button>
+      ))}
+      {canReact && <ReactionPicker onPick={onToggle} placement={placement} />}
+    </div>
+  );
+};
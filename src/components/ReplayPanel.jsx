@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+import { Play, Pause, SkipBack, SkipForward, X } from 'lucide-react';
+import MiniGrid from './MiniGrid';
+import { describeEvent, replayBoards } from '../activity';
+import { countItems } from '../bingo';
+import { t } from '../i18n';
+
+const STEP_MS = 700;
+
+// Repetición de la partida: recorre el registro de eventos y reconstruye los cartones paso a paso.
+// `layoutFor(board)` resuelve el cartón de cada jugador (común o propio).
+const ReplayPanel = ({ events, cols, layoutFor, onClose }) => {
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  // Al llegar al final la reproducción se detiene sola
+  const isPlaying = playing && step < events.length;
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setTimeout(() => setStep(s => s + 1), STEP_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, step]);
+
+  const boards = Object.values(replayBoards(events, step));
+  const current = step > 0 ? events[step - 1] : null;
+  const btn = 'p-2 rounded-lg bg-slate-100 text-slate-600 hover:bg-slate-200 border-0';
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-indigo-100 p-4 mb-8">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-bold text-slate-700">{t('replay.title')}</h3>
+        <button onClick={onClose} className="p-1 bg-transparent border-0 text-slate-400 hover:text-slate-700"><X size={18} /></button>
+      </div>
+      <div className="flex items-center gap-2 mb-2">
+        <button className={btn} onClick={() => { setPlaying(false); setStep(0); }}><SkipBack size={16} /></button>
+        <button className={btn} onClick={() => { if (step >= events.length) setStep(0); setPlaying(!isPlaying); }}>{isPlaying ? <Pause size={16} /> : <Play size={16} />}</button>
+        <button className={btn} onClick={() => { setPlaying(false); setStep(events.length); }}><SkipForward size={16} /></button>
+        <input type="range" min={0} max={events.length} value={step} onChange={(e) => { setPlaying(false); setStep(parseInt(e.target.value, 10)); }} className="flex-1 accent-indigo-600" />
+        <span className="text-xs text-slate-400 w-16 text-right">{step}/{events.length}</span>
+      </div>
+      <div className="text-sm text-slate-600 h-5 mb-3 truncate">{current ? describeEvent(current) : t('replay.start')}</div>
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+        {boards.map(b => {
+          const layout = layoutFor(b) || [];
+          return (
+            <div key={b.userId} className={`p-2 rounded-lg border transition ${current?.userId === b.userId ? 'border-indigo-400 bg-indigo-50' : 'border-slate-100'}`}>
+              <MiniGrid layout={layout} cols={cols} checkedIndices={b.checkedIndices} className="h-12 w-full" />
+              <div className="text-xs font-bold text-slate-600 truncate mt-1">{b.name}</div>
+              <div className="text-[10px] text-slate-400">{b.checkedIndices.length}/{countItems(layout)}</div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ReplayPanel;
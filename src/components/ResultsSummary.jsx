@@ -0,0 +1,26 @@
+import React from 'react';
+import { Flag, X } from 'lucide-react';
+import Leaderboard from './Leaderboard';
+import { t } from '../i18n';
+
+// Resumen al acabarse el tiempo. Solo enseña la clasificación congelada al cerrar la partida,
+// así que se abre cuando llega esa escritura y todos los clientes ven la misma.
+const ResultsSummary = ({ standings, myUid, unit, onClose }) => {
+  const myRank = standings.findIndex(s => s.userId === myUid);
+  return (
+    <div className="fixed inset-0 z-40 bg-slate-900/60 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-6 space-y-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between">
+          <div>
+            <h2 className="text-2xl font-extrabold text-slate-800 flex items-center gap-2"><Flag size={22} /> {t('results.title')}</h2>
+            {myRank >= 0 && <p className="text-sm text-slate-500">{t('results.rank', { rank: myRank + 1, score: standings[myRank].score, unit: t(`units.${unit}`, { count: standings[myRank].score }) })}</p>}
+          </div>
+          <button onClick={onClose} className="p-1 rounded-full bg-transparent border-0 text-slate-400 hover:text-slate-700"><X size={18} /></button>
+        </div>
+        <Leaderboard standings={standings} myUid={myUid} unit={unit} final />
+      </div>
+    </div>
+  );
+};
+
+export default ResultsSummary;
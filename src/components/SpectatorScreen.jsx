@@ -0,0 +1,83 @@
+import React from 'react';
+import { Trophy, Users, Medal } from 'lucide-react';
+import QrCode from './QrCode';
+import ActivityFeed from './ActivityFeed';
+import { gridColumns } from '../ui';
+import { WIN_PATTERNS, GAME_STATUS, getBoard, getFreeIndex, getGameStatus, getItemCounts, getScoring, getStandings } from '../bingo';
+import { t } from '../i18n';
+
+const MAX_RANKED = 10;
+
+// Pantalla de proyector: solo lectura, no crea ficha de participante.
+// Con cartones únicos no hay un tablero común, así que se muestra el pool de items.
+const SpectatorScreen = ({ game, participants, events, joinUrl }) => {
+  const board = getBoard(game);
+  const freeIndex = game.uniqueCards ? -1 : getFreeIndex(board);
+  const cells = game.uniqueCards ? game.items || [] : game.layout || [];
+  const counts = getItemCounts(game, participants);
+  const ranked = getStandings(game, participants).slice(0, MAX_RANKED);
+  const maxCount = Math.max(1, participants.length);
+
+  return (
+    <div className="w-full min-h-screen bg-slate-900 text-white font-sans p-4 md:p-8">
+      <style>{`#root { width: 100%; max-width: 100%; } body { display: block; place-items: unset; }`}</style>
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-4xl md:text-5xl font-extrabold tracking-tight">BINGO!</h1>
+        <div className="text-slate-400 text-lg flex items-center gap-4">
+          <span className="uppercase tracking-wide text-sm font-bold">{t(GAME_STATUS[getGameStatus(game)])}</span>
+          <span className="flex items-center gap-2"><Users size={20} /> {participants.length}</span>
+        </div>
+      </div>
+
+      {game.winner && (
+        <div className="bg-amber-400 text-amber-950 rounded-2xl p-6 mb-6 flex items-center justify-center gap-4">
+          <Trophy size={48} />
+          <div className="text-3xl md:text-5xl font-extrabold">{game.winner.name} · {WIN_PATTERNS[game.winner.pattern] ? t(WIN_PATTERNS[game.winner.pattern]) : 'BINGO'}!</div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-[1fr_360px] gap-6">
+        <div className="grid gap-1 self-start" style={gridColumns(board.cols)}>
+          {cells.map((item, idx) => {
+            if (idx === freeIndex) return <div key={idx} className="aspect-[4/3] rounded-lg bg-amber-500/20 flex items-center justify-center text-amber-300 font-extrabold text-xl">{t('common.free')}</div>;
+            if (item === null) return <div key={idx} className="aspect-[4/3] rounded-lg bg-slate-800/50" />;
+            const count = counts[item] || 0;
+            return (
+              <div key={idx} className="aspect-[4/3] rounded-lg p-2 flex flex-col items-center justify-center text-center relative overflow-hidden bg-slate-800">
+                <div className="absolute inset-0 bg-emerald-500 transition-opacity duration-500" style={{ opacity: (count / maxCount) * 0.6 }} />
+                <span className="relative text-sm md:text-lg lg:text-xl font-semibold leading-tight break-words">{item}</span>
+                {count > 0 && <span className="relative mt-1 text-xs md:text-sm font-bold bg-black/30 rounded-full px-2">{count}</span>}
+              </div>
+            );
+          })}
+        </div>
+
+        <aside className="space-y-6">
+          <div className="bg-white rounded-2xl p-4 flex flex-col items-center text-slate-800">
+            <QrCode value={joinUrl} size={280} />
+            <div className="mt-2 text-sm font-bold">{t('screen.scan')}</div>
+            <div className="text-xs text-slate-500 break-all text-center">{joinUrl}</div>
+          </div>
+
+          <div className="bg-slate-800 rounded-2xl p-4">
+            <h2 className="text-lg font-bold mb-3 flex items-center gap-2"><Medal size={20} /> {getGameStatus(game) === 'finished' && game.standings ? t('leaderboard.final') : t('leaderboard.title')}</h2>
+            {ranked.length === 0 && <div className="text-slate-400 text-sm italic">{t('screen.waiting')}</div>}
+            <ol className="space-y-2">
+              {ranked.map((p, i) => (
+                <li key={p.userId} className="flex items-center gap-3 text-lg">
+                  <span className={`w-8 h-8 rounded-full flex items-center justify-center font-bold text-sm ${i === 0 ? 'bg-amber-400 text-amber-950' : 'bg-slate-700'}`}>{i + 1}</span>
+                  <span className="flex-1 truncate">{p.name}</span>
+                  <span className="font-bold tabular-nums">{p.score}{getScoring(game) === 'rarity' && <span className="text-sm text-slate-400 font-normal"> {t('units.points', { count: p.score })}</span>}</span>
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          <div className="text-slate-800"><ActivityFeed events={events} max={8} /></div>
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default SpectatorScreen;
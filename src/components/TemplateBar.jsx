@@ -0,0 +1,78 @@
+import React, { useState, useRef } from 'react';
+import { BookOpen, Save, Trash2, Upload, Download, Share2 } from 'lucide-react';
+import {
+  TEMPLATE_FORMATS,
+  loadTemplates,
+  saveTemplate,
+  deleteTemplate,
+  parseTemplate,
+  downloadTemplate,
+  buildTemplateLink
+} from '../templates';
+import { t } from '../i18n';
+
+// Barra de plantillas de la vista de creación: cargar, guardar, importar, exportar y compartir
+const TemplateBar = ({ items, templateName, onLoad }) => {
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [selected, setSelected] = useState('');
+  const fileInput = useRef(null);
+  const btn = 'flex items-center gap-1 text-xs font-semibold px-2 py-1 rounded-lg border border-slate-200 bg-white text-slate-600 hover:bg-slate-50 disabled:opacity-40';
+
+  const pick = (name) => {
+    setSelected(name);
+    const template = templates.find(tpl => tpl.name === name);
+    if (template) onLoad(template.items, template.name);
+  };
+
+  const save = () => {
+    const name = window.prompt(t('templates.namePrompt'), selected || templateName || '');
+    if (!name?.trim()) return;
+    setTemplates(saveTemplate(name.trim(), items));
+    setSelected(name.trim());
+  };
+
+  const remove = () => {
+    if (!selected || !window.confirm(t('templates.confirmDelete', { name: selected }))) return;
+    setTemplates(deleteTemplate(selected));
+    setSelected('');
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { name, items: imported } = parseTemplate(file.name, await file.text());
+      onLoad(imported, name);
+    } catch (err) {
+      console.error("Import Error:", err);
+      alert(t('templates.importError', { file: file.name, error: err.message }));
+    }
+  };
+
+  const share = () => {
+    const url = buildTemplateLink(selected || templateName, items);
+    navigator.clipboard.writeText(url);
+    alert(t('templates.linkCopied', { url }));
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      <label className="flex items-center gap-1 text-xs font-bold text-slate-500 uppercase tracking-wide"><BookOpen size={14} /> {t('templates.title')}</label>
+      <select className="border border-slate-200 rounded-lg px-2 py-1 text-sm bg-white" value={selected} onChange={(e) => pick(e.target.value)}>
+        <option value="">{templates.length ? t('templates.choose') : t('templates.none')}</option>
+        {templates.map(tpl => <option key={tpl.name} value={tpl.name}>{tpl.name} ({tpl.items.length})</option>)}
+      </select>
+      <button className={btn} disabled={items.length === 0} onClick={save}><Save size={12} /> {t('templates.save')}</button>
+      <button className={btn} disabled={!selected} onClick={remove}><Trash2 size={12} /> {t('templates.delete')}</button>
+      <button className={btn} onClick={() => fileInput.current?.click()}><Upload size={12} /> {t('templates.import')}</button>
+      <input ref={fileInput} type="file" accept=".txt,.csv,.json,text/plain,text/csv,application/json" className="hidden" onChange={importFile} />
+      {Object.entries(TEMPLATE_FORMATS).map(([format, { label }]) => (
+        <button key={format} className={btn} disabled={items.length === 0} onClick={() => downloadTemplate(format, selected || templateName, items)}><Download size={12} /> {t(label)}</button>
+      ))}
+      <button className={btn} disabled={items.length === 0} onClick={share}><Share2 size={12} /> {t('templates.link')}</button>
+    </div>
+  );
+};
+
+export default TemplateBar;
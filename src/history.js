@@ -0,0 +1,53 @@
+// --- HISTORIAL ---
+// "My games": una entrada por partida a partir de la ficha del jugador y los datos de cierre
+// de la partida (`finishedAt` o, si nadie la cerró, el bingo del ganador).
+
+import { getPlayerLayout, getCountedIndices, countItems, getGameStatus } from './bingo';
+import { t } from './i18n';
+
+// null mientras la partida siga en marcha
+export const getGameDuration = (game) => {
+  const end = game.finishedAt || game.winner?.claimedAt;
+  return end && game.createdAt ? Math.max(0, end - game.createdAt) : null;
+};
+
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return t('duration.underMinute');
+  if (minutes < 60) return t('duration.minutes', { count: minutes });
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t('duration.hours', { hours, minutes: String(minutes % 60).padStart(2, '0') });
+  return t('duration.days', { count: Math.round(hours / 24) });
+};
+
+export const buildHistoryEntry = (game, participant, uid) => {
+  const layout = getPlayerLayout(game, participant) || [];
+  const counted = getCountedIndices(game, participant);
+  const total = countItems(layout);
+  return {
+    game,
+    name: participant.name,
+    items: counted.map(i => layout[i]).filter(Boolean),
+    marks: counted.length,
+    total,
+    completion: total ? counted.length / total : 0,
+    // En modo equipos gana todo el equipo, no solo quien cantó el bingo
+    won: game.winner?.userId === uid || Boolean(game.winner?.teamId && game.winner.teamId === participant.teamId),
+    finished: getGameStatus(game) === 'finished' || Boolean(game.winner),
+    duration: getGameDuration(game),
+  };
+};
+
+export const summarizeHistory = (entries, top = 5) => {
+  const counts = {};
+  entries.forEach(e => e.items.forEach(item => { counts[item] = (counts[item] || 0) + 1; }));
+  return {
+    played: entries.length,
+    wins: entries.filter(e => e.won).length,
+    avgCompletion: entries.length ? entries.reduce((sum, e) => sum + e.completion, 0) / entries.length : 0,
+    topItems: Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, top)
+      .map(([item, count]) => ({ item, count })),
+  };
+};
@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+
+// Hora actual que se refresca cada `interval` ms (para "hace X min", presencia, cuentas atrás...)
+export const useNow = (interval) => {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+  return now;
+};
+
+// Conexión según el navegador; se actualiza con los eventos `online` / `offline`
+export const useOnline = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+  return online;
+};
@@ -0,0 +1,327 @@
+// Catálogo en inglés: es el de referencia, cualquier clave nueva empieza aquí
+export default {
+  names: {
+    format: '{color}-{adjective}-{noun}-{number}',
+    adjectives: ['Funky', 'Grumpy', 'Cheeky', 'Sleepy', 'Hyper', 'Happy', 'Salty', 'Spicy', 'Lucky', 'Dizzy'],
+    colors: ['Red', 'Blue', 'Pink', 'Neon', 'Lime', 'Cosmic', 'Rusty', 'Golden', 'Silver', 'Violet'],
+    nouns: ['Badger', 'Cactus', 'Taco', 'Ninja', 'Panda', 'Toaster', 'Pickle', 'Muffin', 'Wizard', 'Goose'],
+  },
+
+  common: {
+    free: 'FREE',
+    loading: 'Loading...',
+    join: 'Join',
+    back: 'Back',
+    cancel: 'Cancel',
+    create: 'Create',
+    language: 'Language',
+    by: 'By {name}',
+    you: '(You)',
+    noTeam: 'No team',
+  },
+
+  patterns: {
+    row: 'Line',
+    column: 'Column',
+    diagonal: 'Diagonal',
+    fourCorners: 'Four corners',
+    fullCard: 'Full card',
+  },
+
+  boards: {
+    quick: 'Quick 3x3',
+    standard: 'Standard 6x4',
+    classic: 'Classic 5x5',
+    large: 'All-hands 8x6',
+    custom: 'Custom',
+  },
+
+  status: {
+    open: 'Open',
+    locked: 'Locked',
+    paused: 'Paused',
+    finished: 'Finished',
+  },
+
+  visibility: {
+    public: 'Public',
+    unlisted: 'Unlisted',
+    private: 'Private',
+  },
+
+  markState: {
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    disputed: 'Disputed',
+  },
+
+  scoring: {
+    count: 'One point per mark',
+    rarity: 'Rarity-weighted',
+  },
+
+  presence: {
+    online: 'Online',
+    idle: 'Idle',
+    offline: 'Offline',
+  },
+
+  units: {
+    points: { one: 'pt', other: 'pts' },
+    marks: { one: 'mark', other: 'marks' },
+  },
+
+  auth: {
+    invalidConfig: 'Invalid configuration',
+    checkEnv: 'Check your {file} file',
+    error: 'Authentication error',
+    connecting: 'Connecting...',
+    anonymousDisabled: 'Enable Anonymous sign-in in the Firebase Console.',
+    authDomain: 'authDomain error. Check your .env',
+    noLinkedPlayer: 'No linked player found for that account.',
+    unreachable: 'Could not reach the sign-in service.',
+    switchAccount: 'That account already has a saved player. Switch to it? The guest games on this device stay with the guest.',
+    confirmSignOut: 'Sign out? You will continue as a new guest on this device.',
+    localEmail: 'Email for the local account',
+  },
+
+  profile: {
+    randomName: 'Random funny name',
+    guest: 'Guest on this device only',
+    linked: 'Linked account',
+    myGames: 'My games',
+    save: 'Save my player',
+    saveHint: 'Keep your games and name on any device',
+    signIn: 'Sign in',
+    signInHint: 'Use a player saved on another device',
+    signOut: 'Sign out',
+  },
+
+  home: {
+    tagline: 'Social. Real-time.',
+    localMode: 'Local mode: games are stored in this browser and shared between its tabs.',
+    createNew: 'Create New',
+    or: 'Or',
+    gameId: 'Game ID',
+    browse: 'Browse games',
+    mine: "Games I'm in",
+    search: 'Search items or creator',
+    noMatches: 'No games match.',
+    noRecent: 'No recent games.',
+    reuse: 'New game with these items',
+    empty: 'Empty',
+    loadMore: 'Load more',
+    firestoreDisabled: 'Error: enable Firestore Database in your Firebase console.',
+  },
+
+  create: {
+    title: 'Create new card',
+    subtitle: 'Write from {min} to {max} sentences.',
+    placeholder: 'Sentences...',
+    board: 'Board',
+    columns: 'Columns',
+    rows: 'Rows',
+    minItems: 'Min items',
+    maxItems: 'Max items',
+    freeCenter: 'Free centre square',
+    patterns: 'Winning patterns',
+    uniqueCards: 'Unique card per player',
+    teamMode: 'Team mode',
+    teamHint: '(teams share one card)',
+    teamPlaceholder: 'One team per line',
+    defaultTeams: 'Red\nBlue',
+    witnesses: 'Witness confirmations',
+    witnessesOff: 'Off',
+    witnessesPerMark: '{count} per mark',
+    starts: 'Starts',
+    rightAway: '(right away)',
+    ends: 'Ends',
+    endsManual: 'When the host ends it',
+    endsDuration: 'After a duration',
+    endsAt: 'At a set time',
+    minutes: 'min',
+    scoring: 'Scoring',
+    whoCanJoin: 'Who can join',
+    publicHint: 'Listed in the game browser.',
+    unlistedHint: 'Only people with the link can find it.',
+    privateHint: 'Hidden from the browser; players also need a join code.',
+    itemCount: { one: '{count}/{max} item', other: '{count}/{max} items' },
+    itemRange: 'Please enter between {min} and {max} items.',
+    noPatterns: 'Pick at least one winning pattern.',
+    fewTeams: 'Team mode needs at least two teams.',
+    endBeforeStart: 'The end time must be after the start.',
+    error: 'Could not create the game. Have you enabled Firestore Database in the console?',
+  },
+
+  game: {
+    notFound: 'Game not found.',
+    copyLink: 'Copy direct link',
+    linkCopied: 'Link copied to clipboard: {url}',
+    projector: 'Projector screen',
+    yourTeam: 'Your team',
+    youAre: 'You are',
+    notAccepting: 'This game is not accepting new players.',
+    paused: 'The host has paused marking.',
+    startsIn: 'Starts in',
+    opensAt: 'Marking opens at {time}',
+    ended: 'The game has ended.',
+    png: 'PNG',
+    pdf: 'Print PDF',
+    exportError: 'Could not generate the card.',
+    replay: 'Watch replay',
+    participants: 'Participants ({count})',
+    online: '{count} online',
+    hideLeft: 'Hide players who left',
+    marked: { one: '{count} marked', other: '{count} marked' },
+    unconfirmed: { one: '{count} unconfirmed', other: '{count} unconfirmed' },
+    teamMarked: { one: '{count} marked together', other: '{count} marked together' },
+    remove: 'Remove participant',
+    confirmRemove: 'Remove {name} from the game?',
+    confirmDeleteMessage: 'Delete this message?',
+    confirmReset: "Clear every player's marks?",
+  },
+
+  connection: {
+    online: 'Online',
+    offline: 'Offline',
+    syncing: 'Syncing',
+    unsynced: 'Not synced yet',
+    offlineHome: "You're offline.",
+    lastGame: 'Open your last game',
+  },
+
+  winner: {
+    you: 'You won!',
+    called: '{name} called {pattern}',
+    team: '{team} wins: {name} called {pattern}',
+    myTeam: '{team} (your team) wins: {name} called {pattern}',
+  },
+
+  join: {
+    private: 'Private game',
+    needsCodeFrom: '{name} needs to give you a join code.',
+    needsCode: 'The host needs to give you a join code.',
+    placeholder: 'CODE',
+    wrongCode: 'Wrong join code.',
+  },
+
+  host: {
+    title: 'Host',
+    unlock: 'Unlock',
+    lock: 'Lock joins',
+    resume: 'Resume',
+    pause: 'Pause marking',
+    reset: 'Reset boards',
+    print: 'Print cards',
+    reopen: 'Reopen',
+    end: 'End game',
+    confirmEnd: 'End the game for everyone?',
+    joinCode: 'Join code',
+    printCount: 'How many cards? (1-{max})',
+    cardNumber: 'Card #{number}',
+  },
+
+  witness: {
+    confirm: 'Confirm',
+    dispute: 'Dispute',
+  },
+
+  chat: {
+    title: 'Chat',
+    empty: 'No messages yet.',
+    delete: 'Delete message',
+    placeholder: 'Say something...',
+    joinToChat: 'Join the game to chat',
+  },
+
+  reactions: {
+    react: 'React',
+  },
+
+  activity: {
+    title: 'Activity',
+    empty: 'Nothing yet.',
+    join: '{name} joined the game',
+    marked: "{name} marked '{item}'",
+    unmarked: "{name} unmarked '{item}'",
+    rename: '{oldName} is now {name}',
+    win: '{name} called BINGO!',
+    winTeam: '{name} called BINGO for {team}!',
+    reset: '{name} cleared every board',
+    remove: '{name} was removed',
+    team: '{name} joined {team}',
+  },
+
+  time: {
+    justNow: 'just now',
+    minutesAgo: { one: '{count} min ago', other: '{count} min ago' },
+    hoursAgo: { one: '{count} hour ago', other: '{count} hours ago' },
+    daysAgo: { one: '{count} day ago', other: '{count} days ago' },
+  },
+
+  duration: {
+    underMinute: '< 1 min',
+    minutes: '{count} min',
+    hours: '{hours} h {minutes} min',
+    days: { one: '{count} day', other: '{count} days' },
+  },
+
+  history: {
+    title: 'My games',
+    played: 'Played',
+    wins: 'Wins',
+    completion: 'Avg. completion',
+    mostMarked: 'Most marked',
+    empty: "You haven't joined any games yet.",
+    inProgress: 'In progress',
+    won: 'Won',
+    finalMarks: 'Final marks',
+    marksSoFar: 'Marks so far',
+  },
+
+  leaderboard: {
+    title: 'Leaderboard',
+    final: 'Final standings',
+    empty: 'Nobody yet.',
+  },
+
+  results: {
+    title: "Time's up!",
+    rank: 'You finished #{rank} with {score} {unit}.',
+  },
+
+  replay: {
+    title: 'Replay',
+    start: 'Start of the game',
+  },
+
+  screen: {
+    scan: 'Scan to join',
+    waiting: 'Waiting for players...',
+  },
+
+  templates: {
+    title: 'Templates',
+    choose: 'Choose...',
+    none: 'No templates yet',
+    save: 'Save',
+    delete: 'Delete',
+    import: 'Import',
+    link: 'Link',
+    namePrompt: 'Template name',
+    confirmDelete: 'Delete template "{name}"?',
+    importError: 'Could not import {file}: {error}',
+    linkCopied: 'Template link copied to clipboard: {url}',
+    invalidJson: 'JSON must be a list of items or { name, items }',
+    formats: {
+      txt: 'Text',
+      csv: 'CSV',
+      json: 'JSON',
+    },
+  },
+
+  print: {
+    gameId: 'Game ID: {id}',
+    scan: 'Scan to play online',
+  },
+};
@@ -0,0 +1,327 @@
+// Catálogo en español: mismas claves que `en.js`. Los nombres van en masculino para que concuerden
+export default {
+  names: {
+    format: '{noun}-{adjective}-{color}-{number}',
+    adjectives: ['Marchoso', 'Gruñón', 'Descarado', 'Dormilón', 'Hiperactivo', 'Feliz', 'Salado', 'Picante', 'Suertudo', 'Mareado'],
+    colors: ['Rojo', 'Azul', 'Rosa', 'Neón', 'Lima', 'Cósmico', 'Oxidado', 'Dorado', 'Plateado', 'Violeta'],
+    nouns: ['Tejón', 'Cactus', 'Taco', 'Ninja', 'Panda', 'Tostador', 'Pepinillo', 'Bollito', 'Mago', 'Ganso'],
+  },
+
+  common: {
+    free: 'LIBRE',
+    loading: 'Cargando...',
+    join: 'Entrar',
+    back: 'Volver',
+    cancel: 'Cancelar',
+    create: 'Crear',
+    language: 'Idioma',
+    by: 'De {name}',
+    you: '(Tú)',
+    noTeam: 'Sin equipo',
+  },
+
+  patterns: {
+    row: 'Línea',
+    column: 'Columna',
+    diagonal: 'Diagonal',
+    fourCorners: 'Cuatro esquinas',
+    fullCard: 'Cartón lleno',
+  },
+
+  boards: {
+    quick: 'Rápido 3x3',
+    standard: 'Estándar 6x4',
+    classic: 'Clásico 5x5',
+    large: 'Para todos 8x6',
+    custom: 'Personalizado',
+  },
+
+  status: {
+    open: 'Abierta',
+    locked: 'Cerrada',
+    paused: 'En pausa',
+    finished: 'Terminada',
+  },
+
+  visibility: {
+    public: 'Pública',
+    unlisted: 'Oculta',
+    private: 'Privada',
+  },
+
+  markState: {
+    pending: 'Pendiente',
+    confirmed: 'Confirmada',
+    disputed: 'Discutida',
+  },
+
+  scoring: {
+    count: 'Un punto por marca',
+    rarity: 'Según rareza',
+  },
+
+  presence: {
+    online: 'Conectado',
+    idle: 'Ausente',
+    offline: 'Desconectado',
+  },
+
+  units: {
+    points: { one: 'pto', other: 'ptos' },
+    marks: { one: 'marca', other: 'marcas' },
+  },
+
+  auth: {
+    invalidConfig: 'Configuración inválida',
+    checkEnv: 'Revisa tu archivo {file}',
+    error: 'Error de autenticación',
+    connecting: 'Conectando...',
+    anonymousDisabled: 'Activa el modo Anónimo en Firebase Console.',
+    authDomain: 'Error en authDomain. Revisa tu .env',
+    noLinkedPlayer: 'No hay ningún jugador enlazado a esa cuenta.',
+    unreachable: 'No se pudo contactar con el servicio de acceso.',
+    switchAccount: 'Esa cuenta ya tiene un jugador guardado. ¿Cambiar a él? Las partidas de invitado de este dispositivo se quedan con el invitado.',
+    confirmSignOut: '¿Cerrar sesión? Seguirás como un invitado nuevo en este dispositivo.',
+    localEmail: 'Email de la cuenta local',
+  },
+
+  profile: {
+    randomName: 'Nombre gracioso aleatorio',
+    guest: 'Invitado solo en este dispositivo',
+    linked: 'Cuenta enlazada',
+    myGames: 'Mis partidas',
+    save: 'Guardar mi jugador',
+    saveHint: 'Conserva tus partidas y tu nombre en cualquier dispositivo',
+    signIn: 'Entrar',
+    signInHint: 'Usa un jugador guardado en otro dispositivo',
+    signOut: 'Cerrar sesión',
+  },
+
+  home: {
+    tagline: 'Social. En tiempo real.',
+    localMode: 'Modo local: las partidas se guardan en este navegador y se comparten entre sus pestañas.',
+    createNew: 'Crear nueva',
+    or: 'O',
+    gameId: 'ID de partida',
+    browse: 'Buscar partidas',
+    mine: 'En las que juego',
+    search: 'Buscar items o creador',
+    noMatches: 'Ninguna partida coincide.',
+    noRecent: 'No hay partidas recientes.',
+    reuse: 'Nueva partida con estos items',
+    empty: 'Vacío',
+    loadMore: 'Cargar más',
+    firestoreDisabled: 'Error: Habilita Firestore Database en tu consola de Firebase.',
+  },
+
+  create: {
+    title: 'Crear cartón nuevo',
+    subtitle: 'Escribe de {min} a {max} frases.',
+    placeholder: 'Frases...',
+    board: 'Tablero',
+    columns: 'Columnas',
+    rows: 'Filas',
+    minItems: 'Mín. items',
+    maxItems: 'Máx. items',
+    freeCenter: 'Casilla central libre',
+    patterns: 'Jugadas ganadoras',
+    uniqueCards: 'Un cartón distinto por jugador',
+    teamMode: 'Modo equipos',
+    teamHint: '(cada equipo comparte un cartón)',
+    teamPlaceholder: 'Un equipo por línea',
+    defaultTeams: 'Rojo\nAzul',
+    witnesses: 'Confirmaciones de testigos',
+    witnessesOff: 'No',
+    witnessesPerMark: '{count} por marca',
+    starts: 'Empieza',
+    rightAway: '(ya mismo)',
+    ends: 'Termina',
+    endsManual: 'Cuando la cierre el anfitrión',
+    endsDuration: 'Tras un tiempo',
+    endsAt: 'A una hora fija',
+    minutes: 'min',
+    scoring: 'Puntuación',
+    whoCanJoin: 'Quién puede entrar',
+    publicHint: 'Aparece en el buscador de partidas.',
+    unlistedHint: 'Solo la encuentra quien tenga el enlace.',
+    privateHint: 'No aparece en el buscador y además hace falta un código.',
+    itemCount: { one: '{count}/{max} item', other: '{count}/{max} items' },
+    itemRange: 'Escribe entre {min} y {max} items.',
+    noPatterns: 'Elige al menos una jugada ganadora.',
+    fewTeams: 'El modo equipos necesita al menos dos equipos.',
+    endBeforeStart: 'La hora de fin debe ser posterior al inicio.',
+    error: 'Error al crear. ¿Has habilitado Firestore Database en la consola?',
+  },
+
+  game: {
+    notFound: 'Partida no encontrada.',
+    copyLink: 'Copiar enlace directo',
+    linkCopied: 'Enlace copiado al portapapeles: {url}',
+    projector: 'Pantalla de proyector',
+    yourTeam: 'Tu equipo',
+    youAre: 'Eres',
+    notAccepting: 'Esta partida no admite jugadores nuevos.',
+    paused: 'El anfitrión ha pausado las marcas.',
+    startsIn: 'Empieza en',
+    opensAt: 'Se podrá marcar a las {time}',
+    ended: 'La partida ha terminado.',
+    png: 'PNG',
+    pdf: 'Imprimir PDF',
+    exportError: 'No se pudo generar el cartón.',
+    replay: 'Ver repetición',
+    participants: 'Participantes ({count})',
+    online: '{count} en línea',
+    hideLeft: 'Ocultar a los que se fueron',
+    marked: { one: '{count} marcado', other: '{count} marcados' },
+    unconfirmed: { one: '{count} sin confirmar', other: '{count} sin confirmar' },
+    teamMarked: { one: '{count} marcado entre todos', other: '{count} marcados entre todos' },
+    remove: 'Expulsar participante',
+    confirmRemove: '¿Expulsar a {name} de la partida?',
+    confirmDeleteMessage: '¿Borrar este mensaje?',
+    confirmReset: '¿Borrar las marcas de todos los jugadores?',
+  },
+
+  connection: {
+    online: 'En línea',
+    offline: 'Sin conexión',
+    syncing: 'Sincronizando',
+    unsynced: 'Sin sincronizar',
+    offlineHome: 'Estás sin conexión.',
+    lastGame: 'Abrir tu última partida',
+  },
+
+  winner: {
+    you: '¡Has ganado!',
+    called: '{name} ha cantado {pattern}',
+    team: '{team} gana: {name} ha cantado {pattern}',
+    myTeam: '{team} (tu equipo) gana: {name} ha cantado {pattern}',
+  },
+
+  join: {
+    private: 'Partida privada',
+    needsCodeFrom: '{name} tiene que darte un código para entrar.',
+    needsCode: 'El anfitrión tiene que darte un código para entrar.',
+    placeholder: 'CÓDIGO',
+    wrongCode: 'Código incorrecto.',
+  },
+
+  host: {
+    title: 'Anfitrión',
+    unlock: 'Abrir',
+    lock: 'Cerrar entradas',
+    resume: 'Reanudar',
+    pause: 'Pausar marcas',
+    reset: 'Reiniciar cartones',
+    print: 'Imprimir cartones',
+    reopen: 'Reabrir',
+    end: 'Terminar partida',
+    confirmEnd: '¿Terminar la partida para todos?',
+    joinCode: 'Código',
+    printCount: '¿Cuántos cartones? (1-{max})',
+    cardNumber: 'Cartón n.º {number}',
+  },
+
+  witness: {
+    confirm: 'Confirmar',
+    dispute: 'Discutir',
+  },
+
+  chat: {
+    title: 'Chat',
+    empty: 'Todavía no hay mensajes.',
+    delete: 'Borrar mensaje',
+    placeholder: 'Di algo...',
+    joinToChat: 'Únete a la partida para chatear',
+  },
+
+  reactions: {
+    react: 'Reaccionar',
+  },
+
+  activity: {
+    title: 'Actividad',
+    empty: 'Nada todavía.',
+    join: '{name} se ha unido a la partida',
+    marked: "{name} ha marcado '{item}'",
+    unmarked: "{name} ha desmarcado '{item}'",
+    rename: '{oldName} ahora es {name}',
+    win: '¡{name} ha cantado BINGO!',
+    winTeam: '¡{name} ha cantado BINGO para {team}!',
+    reset: '{name} ha borrado todos los cartones',
+    remove: '{name} ha sido expulsado',
+    team: '{name} se ha unido a {team}',
+  },
+
+  time: {
+    justNow: 'ahora mismo',
+    minutesAgo: { one: 'hace {count} min', other: 'hace {count} min' },
+    hoursAgo: { one: 'hace {count} hora', other: 'hace {count} horas' },
+    daysAgo: { one: 'hace {count} día', other: 'hace {count} días' },
+  },
+
+  duration: {
+    underMinute: '< 1 min',
+    minutes: '{count} min',
+    hours: '{hours} h {minutes} min',
+    days: { one: '{count} día', other: '{count} días' },
+  },
+
+  history: {
+    title: 'Mis partidas',
+    played: 'Jugadas',
+    wins: 'Victorias',
+    completion: 'Progreso medio',
+    mostMarked: 'Lo más marcado',
+    empty: 'Todavía no te has unido a ninguna partida.',
+    inProgress: 'En curso',
+    won: 'Ganada',
+    finalMarks: 'Marcas finales',
+    marksSoFar: 'Marcas hasta ahora',
+  },
+
+  leaderboard: {
+    title: 'Clasificación',
+    final: 'Clasificación final',
+    empty: 'Nadie todavía.',
+  },
+
+  results: {
+    title: '¡Se acabó el tiempo!',
+    rank: 'Has quedado n.º {rank} con {score} {unit}.',
+  },
+
+  replay: {
+    title: 'Repetición',
+    start: 'Inicio de la partida',
+  },
+
+  screen: {
+    scan: 'Escanea para entrar',
+    waiting: 'Esperando jugadores...',
+  },
+
+  templates: {
+    title: 'Plantillas',
+    choose: 'Elegir...',
+    none: 'Aún no hay plantillas',
+    save: 'Guardar',
+    delete: 'Borrar',
+    import: 'Importar',
+    link: 'Enlace',
+    namePrompt: 'Nombre de la plantilla',
+    confirmDelete: '¿Borrar la plantilla "{name}"?',
+    importError: 'No se pudo importar {file}: {error}',
+    linkCopied: 'Enlace de plantilla copiado al portapapeles: {url}',
+    invalidJson: 'El JSON debe ser una lista de items o { name, items }',
+    formats: {
+      txt: 'Texto',
+      csv: 'CSV',
+      json: 'JSON',
+    },
+  },
+
+  print: {
+    gameId: 'ID de partida: {id}',
+    scan: 'Escanea para jugar online',
+  },
+};
@@ -0,0 +1,74 @@
+// --- IDIOMAS ---
+// Todos los textos visibles viven en los catálogos (`en.js`, `es.js`) y se piden por clave con `t()`.
+// El idioma elegido se guarda en localStorage; la primera vez se toma del navegador.
+// Lo que falte en un catálogo cae al inglés y, si tampoco está, se devuelve la propia clave.
+
+import en from './en';
+import es from './es';
+
+const CATALOGS = { en, es };
+
+export const LOCALES = {
+  en: 'English',
+  es: 'Español',
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'bingo-locale';
+
+const readSaved = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+// `es-ES`, `es-419`... cuentan como `es`
+const matchLocale = (tag) => {
+  const base = (tag || '').toLowerCase().split('-')[0];
+  return CATALOGS[base] ? base : null;
+};
+
+export const detectLocale = (saved = readSaved(), languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) => {
+  if (CATALOGS[saved]) return saved;
+  for (const tag of languages) {
+    const match = matchLocale(tag);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+};
+
+let current = detectLocale();
+if (typeof document !== 'undefined') document.documentElement.lang = current;
+
+export const getLocale = () => current;
+
+export const setLocale = (locale) => {
+  if (!CATALOGS[locale]) return;
+  current = locale;
+  document.documentElement.lang = locale;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch (err) {
+    console.error("Locale Error:", err);
+  }
+};
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+// Los plurales son objetos { one, other } (y lo que pida Intl.PluralRules para el idioma)
+const isPlural = (entry) => entry && typeof entry === 'object' && !Array.isArray(entry) && 'other' in entry;
+
+export const t = (key, params = {}) => {
+  let entry = lookup(CATALOGS[current], key);
+  if (entry === undefined) entry = lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (entry === undefined) return key;
+  if (isPlural(entry)) entry = entry[new Intl.PluralRules(current).select(params.count ?? 0)] ?? entry.other;
+  if (typeof entry !== 'string') return entry;
+  return entry.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+};
+
+// Fechas y horas en el formato del idioma elegido
+export const formatTime = (ms) => new Date(ms).toLocaleTimeString(current, { hour: '2-digit', minute: '2-digit' });
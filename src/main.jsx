@@ -3,6 +3,12 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 
+// Solo en producción: en desarrollo la caché del service worker taparía los cambios de Vite.
+// Se registra sin esperar a `load`: la instalación guarda la lista completa del build
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  navigator.serviceWorker.register('/sw.js').catch(err => console.error("Service Worker Error:", err))
+}
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
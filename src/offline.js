@@ -0,0 +1,83 @@
+// --- SIN CONEXIÓN ---
+// Las marcas y los renombres pasan por una cola guardada en este navegador: se apuntan antes de
+// enviarse y solo salen de ella cuando el backend confirma la escritura. Sin conexión se quedan
+// esperando y se envían al volver. Cada toque de casilla (`toggle`) es una entrada propia, con su
+// evento, y se envía como el cambio de esa casilla; un renombre lleva `base`, el nombre anterior.
+
+import { syncMarks } from './bingo';
+
+const STORAGE_KEY = 'bingo-outbox';
+const LAST_GAME_KEY = 'bingo-last-game';
+
+export const CONNECTION = {
+  online: 'connection.online',
+  offline: 'connection.offline',
+  syncing: 'connection.syncing',
+};
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error("Outbox Error:", err);
+  }
+};
+
+export const loadOutbox = () => read(STORAGE_KEY, []);
+
+const changeKey = (c) => `${c.gameId}:${c.uid}:${c.type}`;
+
+// Los toques se guardan todos y en orden; del nombre basta el último (conserva el `base` del primero)
+export const queueChange = (change) => {
+  const outbox = loadOutbox();
+  const previous = change.type === 'rename' && outbox.find(c => changeKey(c) === changeKey(change));
+  const next = [...outbox.filter(c => c !== previous), previous ? { ...change, base: previous.base } : change];
+  write(STORAGE_KEY, next);
+  return next;
+};
+
+// Solo se quita si sigue siendo ese cambio: un renombre más nuevo tiene otro id
+export const dropChange = (id) => {
+  const next = loadOutbox().filter(c => c.id !== id);
+  write(STORAGE_KEY, next);
+  return next;
+};
+
+export const getQueued = (outbox, gameId, uid) => outbox.filter(c => c.gameId === gameId && c.uid === uid);
+
+const applyToggle = (p, { index, checked, witnessed }) => {
+  const checkedIndices = (p.checkedIndices || []).filter(i => i !== index).concat(checked ? [index] : []);
+  return { ...p, checkedIndices, ...(witnessed ? { marks: syncMarks(p.marks, checkedIndices) } : {}) };
+};
+
+// Mi ficha tal y como quedará al sincronizar
+export const applyQueued = (participant, outbox, gameId) => {
+  if (!participant) return participant;
+  const queued = getQueued(outbox, gameId, participant.userId);
+  if (queued.length === 0) return participant;
+  return queued.reduce((p, c) => (c.type === 'toggle' ? applyToggle(p, c) : { ...p, name: c.name }), participant);
+};
+
+// Casillas con algún toque que aún no ha llegado al servidor
+export const getUnsyncedIndices = (outbox, gameId, uid) =>
+  [...new Set(getQueued(outbox, gameId, uid).filter(c => c.type === 'toggle').map(c => c.index))];
+
+export const hasUnsyncedName = (outbox, gameId, uid) => getQueued(outbox, gameId, uid).some(c => c.type === 'rename');
+
+export const getConnection = (online, outbox, uid) => {
+  if (!online) return 'offline';
+  return outbox.some(c => c.uid === uid) ? 'syncing' : 'online';
+};
+
+// Última partida abierta, para poder volver a ella sin conexión
+export const rememberLastGame = (gameId) => write(LAST_GAME_KEY, gameId);
+
+export const getLastGame = () => read(LAST_GAME_KEY, '');
@@ -0,0 +1,21 @@
+// --- PRESENCIA ---
+// Cada pestaña abierta manda un latido (`lastSeen`) a su ficha; sin latidos recientes
+// el jugador se da por desconectado. `idle` lo decide el propio cliente.
+// `lastSeen` es hora del servidor, así que `now` también tiene que serlo (ver getServerOffset).
+
+export const HEARTBEAT_MS = 20000;
+export const IDLE_AFTER_MS = 2 * 60 * 1000;
+export const OFFLINE_AFTER_MS = 3 * HEARTBEAT_MS;
+
+export const PRESENCE = {
+  online: 'presence.online',
+  idle: 'presence.idle',
+  offline: 'presence.offline',
+};
+
+export const getPresence = (participant, now) => {
+  if (!participant?.lastSeen || participant.left || now - participant.lastSeen > OFFLINE_AFTER_MS) return 'offline';
+  return participant.idle ? 'idle' : 'online';
+};
+
+export const isPresent = (participant, now) => getPresence(participant, now) !== 'offline';
@@ -0,0 +1,152 @@
+import QRCode from 'qrcode';
+import { buildLayout, createRandom, hashSeed, getFreeIndex } from './bingo';
+import { t } from './i18n';
+
+// --- CARTONES EN PAPEL ---
+// Todo se dibuja en un <canvas> en el navegador: el PNG sale directamente de él y el PDF
+// (jsPDF, cargado solo cuando hace falta) lleva una página por cartón con esa misma imagen.
+// Cada cartón lleva el ID de la partida y un QR con el enlace a la versión online.
+
+const WIDTH = 1600;
+const PAD = 48;
+const HEADER = 150;
+const FOOTER = 240;
+const QR_SIZE = 200;
+export const MAX_PRINT_CARDS = 100;
+
+// Parte el texto en líneas que quepan en `maxWidth`, reduciendo la letra hasta que quepa en altura
+const fitText = (ctx, text, maxWidth, maxHeight, maxSize) => {
+  for (let size = maxSize; size >= 12; size -= 2) {
+    ctx.font = `600 ${size}px system-ui, sans-serif`;
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).forEach(word => {
+      const next = line ? `${line} ${word}` : word;
+      if (ctx.measureText(next).width <= maxWidth || !line) line = next;
+      else { lines.push(line); line = word; }
+    });
+    lines.push(line);
+    const lineHeight = size * 1.15;
+    if (lines.length * lineHeight <= maxHeight && lines.every(l => ctx.measureText(l).width <= maxWidth)) return { lines, lineHeight };
+  }
+  return { lines: [text], lineHeight: 14 };
+};
+
+// `checkedIndices` solo se usa al exportar el estado actual; los cartones para imprimir van en blanco
+export const renderCard = async ({ layout, board, gameId, joinUrl, title = 'BINGO!', subtitle = '', checkedIndices = [] }) => {
+  const cellW = (WIDTH - PAD * 2) / board.cols;
+  const cellH = cellW * 0.75;
+  const height = HEADER + cellH * board.rows + FOOTER;
+  const freeIndex = getFreeIndex(board);
+  const checked = new Set(checkedIndices);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, WIDTH, height);
+
+  ctx.fillStyle = '#1e293b';
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'left';
+  ctx.font = '800 72px system-ui, sans-serif';
+  ctx.fillText(title, PAD, PAD + 64);
+  if (subtitle) {
+    ctx.textAlign = 'right';
+    ctx.font = '500 32px system-ui, sans-serif';
+    ctx.fillStyle = '#64748b';
+    ctx.fillText(subtitle, WIDTH - PAD, PAD + 60);
+  }
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  layout.forEach((item, idx) => {
+    const x = PAD + (idx % board.cols) * cellW;
+    const y = HEADER + Math.floor(idx / board.cols) * cellH;
+    ctx.fillStyle = idx === freeIndex ? '#fffbeb' : item === null ? '#f1f5f9' : checked.has(idx) ? '#dcfce7' : '#ffffff';
+    ctx.fillRect(x, y, cellW, cellH);
+    ctx.strokeStyle = '#94a3b8';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(x, y, cellW, cellH);
+
+    if (idx === freeIndex) {
+      ctx.fillStyle = '#d97706';
+      ctx.font = '800 48px system-ui, sans-serif';
+      ctx.fillText(t('common.free'), x + cellW / 2, y + cellH / 2);
+      return;
+    }
+    if (item === null) return;
+    const { lines, lineHeight } = fitText(ctx, item, cellW - 24, cellH - 24, 40);
+    ctx.fillStyle = '#334155';
+    const top = y + cellH / 2 - ((lines.length - 1) * lineHeight) / 2;
+    lines.forEach((l, i) => ctx.fillText(l, x + cellW / 2, top + i * lineHeight));
+    if (checked.has(idx)) {
+      ctx.strokeStyle = '#16a34a';
+      ctx.lineWidth = 8;
+      ctx.beginPath();
+      ctx.arc(x + cellW / 2, y + cellH / 2, Math.min(cellW, cellH) * 0.4, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  });
+
+  const footerTop = HEADER + cellH * board.rows + 20;
+  const qr = new Image();
+  qr.src = await QRCode.toDataURL(joinUrl, { width: QR_SIZE, margin: 0 });
+  await qr.decode();
+  ctx.drawImage(qr, WIDTH - PAD - QR_SIZE, footerTop, QR_SIZE, QR_SIZE);
+
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#1e293b';
+  ctx.font = '700 36px system-ui, sans-serif';
+  ctx.fillText(t('print.gameId', { id: gameId }), PAD, footerTop + 40);
+  ctx.fillStyle = '#64748b';
+  ctx.font = '400 26px system-ui, sans-serif';
+  ctx.fillText(t('print.scan'), PAD, footerTop + 96);
+  ctx.fillText(joinUrl, PAD, footerTop + 136);
+  return canvas;
+};
+
+const fileName = (gameId, suffix, ext) => `bingo-${gameId}${suffix ? `-${suffix}` : ''}.${ext}`;
+
+export const downloadCardPng = async (card) => {
+  const canvas = await renderCard(card);
+  const a = document.createElement('a');
+  a.href = canvas.toDataURL('image/png');
+  a.download = fileName(card.gameId, '', 'png');
+  a.click();
+};
+
+// Un cartón por página A4, centrado y a la mayor escala que quepa
+export const downloadCardsPdf = async (cards, suffix = '') => {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'landscape' });
+  const pageW = pdf.internal.pageSize.getWidth();
+  const pageH = pdf.internal.pageSize.getHeight();
+  const margin = 10;
+  for (const [i, card] of cards.entries()) {
+    const canvas = await renderCard(card);
+    const scale = Math.min((pageW - margin * 2) / canvas.width, (pageH - margin * 2) / canvas.height);
+    const w = canvas.width * scale;
+    const h = canvas.height * scale;
+    if (i > 0) pdf.addPage();
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', (pageW - w) / 2, (pageH - h) / 2, w, h);
+  }
+  pdf.save(fileName(cards[0].gameId, suffix, 'pdf'));
+};
+
+// N cartones distintos con el mismo reparto por filas que la partida online. La semilla sale
+// del ID y del número de cartón, así que volver a imprimir da los mismos cartones.
+export const buildPrintLayouts = (items, board, gameId, count) => {
+  const seen = new Set();
+  const layouts = [];
+  for (let attempt = 0; layouts.length < count && attempt < count * 20; attempt++) {
+    const layout = buildLayout(items, board, createRandom(hashSeed(`${gameId}:print:${attempt}`)));
+    const key = JSON.stringify(layout);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    layouts.push(layout);
+  }
+  return layouts;
+};
@@ -0,0 +1,33 @@
+// --- RUTAS ---
+// /                 → home
+// /new              → create
+// /me               → history (mis partidas)
+// /g/:gameId        → play
+// /g/:gameId/screen → screen (pantalla de proyector)
+// `?code=` en una ruta de partida rellena el código de las partidas privadas.
+// Los enlaces antiguos `?game=<id>` siguen funcionando y se reescriben a /g/<id>.
+
+export const parseLocation = ({ pathname, search }) => {
+  const legacyGame = new URLSearchParams(search).get('game');
+  if (legacyGame) return { view: 'play', gameId: legacyGame, legacy: true };
+
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (parts[0] === 'new') return { view: 'create', gameId: '' };
+  if (parts[0] === 'me') return { view: 'history', gameId: '' };
+  if (parts[0] === 'g' && parts[1]) return { view: parts[2] === 'screen' ? 'screen' : 'play', gameId: parts[1] };
+  return { view: 'home', gameId: '' };
+};
+
+export const buildPath = (view, gameId = '') => {
+  const id = encodeURIComponent(gameId);
+  if (view === 'create') return '/new';
+  if (view === 'history') return '/me';
+  if (view === 'play' && gameId) return `/g/${id}`;
+  if (view === 'screen' && gameId) return `/g/${id}/screen`;
+  return '/';
+};
+
+export const gameUrl = (gameId, view = 'play', joinCode = '') =>
+  `${window.location.origin}${buildPath(view, gameId)}${joinCode ? `?code=${encodeURIComponent(joinCode)}` : ''}`;
+
+export const readJoinCode = (search) => new URLSearchParams(search).get('code') || '';
@@ -0,0 +1,112 @@
+import { buildPath } from './router';
+import { t } from './i18n';
+
+// --- PLANTILLAS ---
+// Listas de items guardadas en este navegador, con importación/exportación
+// en texto plano, CSV y JSON y un enlace para compartirlas (`/new?items=...&name=...`).
+
+const STORAGE_KEY = 'bingo-templates';
+
+export const TEMPLATE_FORMATS = {
+  txt: { label: 'templates.formats.txt', mime: 'text/plain' },
+  csv: { label: 'templates.formats.csv', mime: 'text/csv' },
+  json: { label: 'templates.formats.json', mime: 'application/json' },
+};
+
+// Un item es una línea del textarea: los saltos de línea y espacios repetidos de CSV o JSON se juntan en uno
+export const cleanItems = (items) => items.map(i => String(i).replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+export const loadTemplates = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+const storeTemplates = (templates) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+// Guardar con un nombre existente lo sobrescribe
+export const saveTemplate = (name, items) =>
+  storeTemplates([...loadTemplates().filter(t => t.name !== name), { name, items: cleanItems(items), savedAt: Date.now() }]);
+
+export const deleteTemplate = (name) => storeTemplates(loadTemplates().filter(t => t.name !== name));
+
+// --- SERIALIZACIÓN ---
+
+const csvField = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+export const serializeTemplate = (format, name, items) => {
+  if (format === 'json') return JSON.stringify({ name, items }, null, 2);
+  if (format === 'csv') return ['item', ...items].map(csvField).join('\n');
+  return items.join('\n');
+};
+
+// Primera columna de cada fila, respetando comillas y saltos de línea dentro de ellas
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  row.push(field);
+  rows.push(row);
+  const firsts = rows.map(r => r[0]);
+  if (firsts[0]?.trim().toLowerCase() === 'item') firsts.shift();
+  return firsts;
+};
+
+// Devuelve { name, items }; el formato se deduce de la extensión del fichero
+export const parseTemplate = (filename, text) => {
+  const ext = filename.split('.').pop().toLowerCase();
+  const baseName = filename.replace(/\.[^.]+$/, '');
+  if (ext === 'json') {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return { name: baseName, items: cleanItems(data) };
+    if (!data || !Array.isArray(data.items)) throw new Error(t('templates.invalidJson'));
+    return { name: data.name || baseName, items: cleanItems(data.items) };
+  }
+  if (ext === 'csv') return { name: baseName, items: cleanItems(parseCsv(text)) };
+  return { name: baseName, items: cleanItems(text.split(/\r?\n/)) };
+};
+
+export const downloadTemplate = (format, name, items) => {
+  const blob = new Blob([serializeTemplate(format, name, items)], { type: TEMPLATE_FORMATS[format].mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${(name || 'bingo-template').replace(/[^\w-]+/g, '_')}.${format}`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// --- ENLACE COMPARTIDO ---
+
+export const buildTemplateLink = (name, items) => {
+  const params = new URLSearchParams({ items: items.join('\n') });
+  if (name) params.set('name', name);
+  return `${window.location.origin}${buildPath('create')}?${params}`;
+};
+
+export const readTemplateLink = (search) => {
+  const params = new URLSearchParams(search);
+  const items = params.get('items');
+  if (!items) return null;
+  return { name: params.get('name') || '', items: cleanItems(items.split('\n')) };
+};
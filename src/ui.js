@@ -0,0 +1,9 @@
+// --- ESTILOS COMPARTIDOS ---
+
+export const gridColumns = (cols) => ({ gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))` });
+
+export const MINI_MARK_COLORS = {
+  pending: 'bg-sky-300',
+  confirmed: 'bg-green-500',
+  disputed: 'bg-red-400',
+};
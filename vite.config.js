@@ -1,7 +1,26 @@
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Lista de ficheros del build para el service worker (public/sw.js la carga con importScripts).
+// Los de /assets llevan hash en el nombre, así que solo se conocen al terminar el bundle.
+// El id cambia con cada lista distinta: el navegador ve un sw-assets.js nuevo, instala
+// el service worker otra vez y borra la caché anterior.
+const swAssets = () => ({
+  name: 'sw-assets',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const assets = Object.keys(bundle).filter(file => !file.endsWith('.map')).sort().map(file => `/${file}`)
+    const buildId = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw-assets.js',
+      source: `self.BUILD_ID = ${JSON.stringify(buildId)};\nself.BUILD_ASSETS = ${JSON.stringify(assets)};\n`,
+    })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), swAssets()],
 })